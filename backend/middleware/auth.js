@@ -0,0 +1,52 @@
+const { verifyAccessToken } = require('../services/tokens');
+const { getUser } = require('../services/users');
+
+// JWT authentication for REST routes and socket.io connections.
+// Clients send "Authorization: Bearer <accessToken>" on REST calls and
+// { auth: { token } } in the socket.io handshake.
+
+// The user for an access token, or null when it is missing, invalid or expired
+function userFromToken(token) {
+  const payload = token ? verifyAccessToken(token) : null;
+  return payload ? getUser(payload.sub) : null;
+}
+
+function bearerToken(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+}
+
+function requireAuth(req, res, next) {
+  const user = userFromToken(bearerToken(req));
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  next();
+}
+
+// Attach the user when a valid token is present, but allow anonymous calls
+function optionalAuth(req, res, next) {
+  req.user = userFromToken(bearerToken(req));
+  next();
+}
+
+// socket.io middleware. Anonymous sockets still get public feeds; a token
+// that fails to verify is rejected so the client can refresh and retry.
+function authenticateSocket(socket, next) {
+  const token = socket.handshake.auth?.token;
+  if (!token) return next();
+
+  const user = userFromToken(token);
+  if (!user) return next(new Error('Invalid or expired token'));
+
+  socket.data.user = user;
+  next();
+}
+
+module.exports = {
+  requireAuth,
+  optionalAuth,
+  authenticateSocket
+};
@@ -0,0 +1,73 @@
+const {
+  PLANS,
+  getEffectivePlan,
+  hasFeature,
+  planForFeature,
+  incrementUsage,
+  quotaResetAt
+} = require('../services/plans');
+
+// Who an API call is billed to: the signed-in user, or the caller's IP
+function usageSubject(req) {
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+// Count the call against the caller's daily quota. Expects optionalAuth to
+// have run. Sends 429 once the plan's calls for the day are used up.
+async function meterApiCalls(req, res, next) {
+  const plan = getEffectivePlan(req.user);
+  const limit = PLANS[plan].dailyApiCalls;
+
+  let used;
+  try {
+    used = await incrementUsage(usageSubject(req));
+  } catch (error) {
+    console.error('Error metering API call:', error.message);
+    return next();
+  }
+
+  if (limit === null) return next();
+
+  const resetAt = quotaResetAt();
+  res.set({
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(Math.max(limit - used, 0)),
+    'X-RateLimit-Reset': String(Math.floor(resetAt / 1000))
+  });
+
+  if (used > limit) {
+    res.set('Retry-After', String(Math.ceil((resetAt - Date.now()) / 1000)));
+    return res.status(429).json({
+      error: `Daily limit of ${limit} API calls reached for the ${PLANS[plan].name} plan`,
+      plan,
+      limit,
+      resetAt: new Date(resetAt).toISOString()
+    });
+  }
+
+  next();
+}
+
+// Allow only plans that include a feature
+function requireFeature(feature) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasFeature(req.user, feature)) {
+      return res.status(403).json({
+        error: `Your plan does not include ${feature}`,
+        plan: getEffectivePlan(req.user),
+        requiredPlan: planForFeature(feature)
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  usageSubject,
+  meterApiCalls,
+  requireFeature
+};
@@ -0,0 +1,37 @@
+const express = require('express');
+const { optionalAuth } = require('../middleware/auth');
+const { usageSubject } = require('../middleware/plans');
+const {
+  PLANS,
+  getEffectivePlan,
+  getUsage,
+  quotaResetAt
+} = require('../services/plans');
+
+const router = express.Router();
+
+// Today's API consumption for the caller (not itself metered)
+router.get('/usage', optionalAuth, async (req, res) => {
+  const plan = getEffectivePlan(req.user);
+  const { dailyApiCalls: limit, features } = PLANS[plan];
+
+  try {
+    const used = await getUsage(usageSubject(req));
+
+    res.json({
+      plan,
+      planName: PLANS[plan].name,
+      planExpiresAt: req.user?.planExpiresAt || null,
+      features,
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(limit - used, 0),
+      resetAt: new Date(quotaResetAt()).toISOString()
+    });
+  } catch (error) {
+    console.error('Error reading API usage:', error.message);
+    res.status(500).json({ error: 'Failed to read usage' });
+  }
+});
+
+module.exports = router;
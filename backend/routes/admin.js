@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const express = require('express');
+const { setAccessToken, tokenStatus } = require('../services/credentials');
+const { runEndOfDay } = require('../services/paperTrading');
+
+// Operator endpoints, authenticated with the ADMIN_API_KEY shared secret in
+// the x-admin-key header. Disabled when ADMIN_API_KEY is not set.
+
+const router = express.Router();
+
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res.status(404).json({ error: 'Admin API is not enabled' });
+  }
+
+  const provided = Buffer.from(String(req.get('x-admin-key') || ''));
+  const secret = Buffer.from(expected);
+  if (provided.length !== secret.length || !crypto.timingSafeEqual(provided, secret)) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+
+  next();
+}
+
+router.use(requireAdminKey);
+
+router.get('/dhan-token', (req, res) => {
+  res.json(tokenStatus());
+});
+
+// Replace the Dhan access token without a restart: { accessToken, clientId? }
+router.put('/dhan-token', (req, res) => {
+  const { accessToken, clientId } = req.body || {};
+  const { status, error } = setAccessToken(accessToken, { clientId, source: 'admin' });
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  console.log(`✅ Dhan access token replaced via admin API (expires ${status.expiresAt || 'never'})`);
+  res.json(status);
+});
+
+// Run the paper trading end-of-day step now (it also runs every minute)
+router.post('/paper/end-of-day', async (req, res) => {
+  try {
+    res.json(await runEndOfDay());
+  } catch (error) {
+    console.error('Error running paper trading end of day:', error.message);
+    res.status(503).json({ error: 'End of day failed', message: error.message });
+  }
+});
+
+module.exports = router;
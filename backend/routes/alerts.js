@@ -0,0 +1,48 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const {
+  createRule,
+  listRules,
+  deleteRule,
+  listAlerts
+} = require('../services/alerts');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/rules', (req, res) => {
+  res.json({ rules: listRules(req.user.id) });
+});
+
+router.post('/rules', async (req, res) => {
+  try {
+    const { rule, error, status } = await createRule(req.user.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json(rule);
+  } catch (error) {
+    console.error('Error creating alert rule:', error.message);
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+router.delete('/rules/:id', (req, res) => {
+  if (!deleteRule(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'Rule not found' });
+  }
+
+  res.status(204).end();
+});
+
+// Fired alerts, newest first: /api/alerts/history?page=1&limit=20
+router.get('/history', (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  res.json(listAlerts(req.user.id, { page, limit }));
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const {
+  toPublicUser,
+  getUser,
+  createUser,
+  verifyCredentials,
+  recordLogin
+} = require('../services/users');
+const {
+  issueSession,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} = require('../services/tokens');
+
+const router = express.Router();
+
+function loginDetails(req) {
+  return { ip: req.ip, userAgent: req.get('user-agent') || null };
+}
+
+router.post('/signup', async (req, res) => {
+  try {
+    const { user, error, status } = await createUser(req.body || {});
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const loggedIn = recordLogin(user.id, loginDetails(req));
+    res.status(201).json({ user: toPublicUser(loggedIn), ...issueSession(user) });
+  } catch (error) {
+    console.error('Error signing up:', error.message);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  const { email, password } = req.body || {};
+
+  try {
+    const user = await verifyCredentials(email, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const loggedIn = recordLogin(user.id, loginDetails(req));
+    res.json({ user: toPublicUser(loggedIn), ...issueSession(user) });
+  } catch (error) {
+    console.error('Error logging in:', error.message);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair (the old one is spent)
+router.post('/refresh', (req, res) => {
+  const userId = consumeRefreshToken(req.body?.refreshToken);
+  const user = userId ? getUser(userId) : null;
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+
+  res.json({ user: toPublicUser(user), ...issueSession(user) });
+});
+
+// Revoke the given refresh token, or every session with { allDevices: true }
+router.post('/logout', requireAuth, (req, res) => {
+  if (req.body?.allDevices) {
+    revokeAllRefreshTokens(req.user.id);
+  } else if (req.body?.refreshToken && !revokeRefreshToken(req.body.refreshToken, req.user.id)) {
+    return res.status(404).json({ error: 'Refresh token not found' });
+  }
+
+  res.status(204).end();
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const {
+  getInstrument,
+  searchInstruments,
+  getOptionContracts,
+  getRegistryStatus
+} = require('../services/instruments');
+const { EXPIRY_DATE_PATTERN } = require('../services/optionChain');
+
+const router = express.Router();
+
+// Search instruments for the symbol picker
+router.get('/search', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  res.json({
+    query: req.query.q || '',
+    results: searchInstruments(req.query.q, { type: req.query.type, limit }),
+    registry: getRegistryStatus()
+  });
+});
+
+// Listed strikes and contracts for an index, for the strike picker
+router.get('/:symbol/strikes', (req, res) => {
+  const instrument = getInstrument(req.params.symbol);
+  if (!instrument || !instrument.optionable) {
+    return res.status(404).json({ error: `No options listed for ${req.params.symbol}` });
+  }
+
+  const { expiryDate } = req.query;
+  if (expiryDate && !EXPIRY_DATE_PATTERN.test(expiryDate)) {
+    return res.status(400).json({ error: 'expiryDate must be in YYYY-MM-DD format' });
+  }
+
+  const contracts = getOptionContracts(instrument.key, { expiryDate });
+
+  res.json({
+    symbol: instrument.key,
+    expiryDate: expiryDate || null,
+    expiries: [...new Set(contracts.map((contract) => contract.expiryDate))],
+    strikes: [...new Set(contracts.map((contract) => contract.strike))].sort((a, b) => a - b),
+    contracts
+  });
+});
+
+// Registry entry for one instrument
+router.get('/:symbol', (req, res) => {
+  const instrument = getInstrument(req.params.symbol);
+  if (!instrument) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  res.json(instrument);
+});
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const { getMarketStatus, listHolidays } = require('../services/calendar');
+
+const router = express.Router();
+
+// Session phase (pre_open, open, post_close, closed) for NSE and BSE
+router.get('/status', (req, res) => {
+  res.json({
+    exchanges: ['NSE', 'BSE'],
+    ...getMarketStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Trading holidays for a year (defaults to the current one)
+router.get('/holidays', (req, res) => {
+  const year = req.query.year !== undefined ? parseInt(req.query.year, 10) : new Date().getFullYear();
+  if (!(year >= 2000 && year <= 2100)) {
+    return res.status(400).json({ error: 'year must be a four-digit year' });
+  }
+
+  res.json({ year, holidays: listHolidays(year) });
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const {
+  resetAccount,
+  placeOrder,
+  cancelOrder,
+  listOrders,
+  listTrades,
+  getPortfolio
+} = require('../services/paperTrading');
+
+const ORDER_STATUSES = ['open', 'trigger_pending', 'filled', 'cancelled', 'rejected'];
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+function pageParams(query) {
+  return {
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200)
+  };
+}
+
+// Virtual funds and P&L
+router.get('/account', async (req, res) => {
+  try {
+    const { funds, pnl, timestamp } = await getPortfolio(req.user.id);
+    res.json({ ...funds, pnl, timestamp });
+  } catch (error) {
+    console.error('Error reading paper account:', error.message);
+    res.status(500).json({ error: 'Failed to read paper account' });
+  }
+});
+
+// Start over with fresh funds and no orders, positions or trades
+router.post('/account/reset', (req, res) => {
+  const account = resetAccount(req.user.id);
+  res.json({ startingFunds: account.startingFunds, balance: account.balance, resetAt: account.resetAt });
+});
+
+// Positions marked to market, with net Greeks
+router.get('/positions', async (req, res) => {
+  try {
+    res.json(await getPortfolio(req.user.id));
+  } catch (error) {
+    console.error('Error reading paper positions:', error.message);
+    res.status(500).json({ error: 'Failed to read paper positions' });
+  }
+});
+
+// Order book, newest first: /api/paper/orders?status=open&page=1&limit=50
+router.get('/orders', (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.join(', ')}` });
+  }
+
+  res.json(listOrders(req.user.id, { status, ...pageParams(req.query) }));
+});
+
+// Place an order
+// { symbol, expiryDate?, optionType: CE|PE, strike, side: buy|sell, lots?, orderType?: MARKET|LIMIT|SL|SL-M, price?, triggerPrice? }
+router.post('/orders', async (req, res) => {
+  try {
+    const { order, error, status } = await placeOrder(req.user.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Error placing paper order:', error.message);
+    res.status(500).json({ error: 'Failed to place paper order' });
+  }
+});
+
+router.delete('/orders/:id', (req, res) => {
+  const order = cancelOrder(req.user.id, req.params.id);
+  if (!order) {
+    return res.status(404).json({ error: 'No pending order with that id' });
+  }
+
+  res.json(order);
+});
+
+// Trade book, newest first: /api/paper/trades?page=1&limit=50
+router.get('/trades', (req, res) => {
+  res.json(listTrades(req.user.id, pageParams(req.query)));
+});
+
+module.exports = router;
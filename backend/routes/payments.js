@@ -0,0 +1,79 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const { PLANS } = require('../services/plans');
+const {
+  createOrder,
+  verifyCheckout,
+  requestRefund,
+  verifyWebhookSignature,
+  handleWebhookEvent,
+  listPayments
+} = require('../services/payments');
+
+const router = express.Router();
+
+router.get('/plans', (req, res) => {
+  res.json({
+    plans: Object.entries(PLANS).map(([key, plan]) => ({ key, ...plan }))
+  });
+});
+
+// Create a Razorpay order for the checkout page: { plan: 'pro' | 'pro_plus' }
+router.post('/orders', requireAuth, async (req, res) => {
+  try {
+    const { order, error, status } = await createOrder(req.user, req.body?.plan);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json(order);
+  } catch (error) {
+    console.error('Error creating Razorpay order:', error.message);
+    res.status(502).json({ error: 'Failed to create payment order' });
+  }
+});
+
+// Checkout success callback from Razorpay's client handler
+router.post('/verify', requireAuth, (req, res) => {
+  const { payment, error, status } = verifyCheckout(req.user, req.body || {});
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  res.json({ payment });
+});
+
+router.post('/refund', requireAuth, async (req, res) => {
+  try {
+    const { refund, error, status } = await requestRefund(req.user.id);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(202).json(refund);
+  } catch (error) {
+    console.error('Error requesting Razorpay refund:', error.message);
+    res.status(502).json({ error: 'Failed to request refund' });
+  }
+});
+
+router.get('/history', requireAuth, (req, res) => {
+  res.json({ payments: listPayments(req.user.id) });
+});
+
+// Razorpay webhook. The signature covers the raw request body.
+router.post('/webhook', (req, res) => {
+  if (!verifyWebhookSignature(req.rawBody, req.get('x-razorpay-signature'))) {
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  try {
+    handleWebhookEvent(req.body);
+    res.json({ status: 'ok' });
+  } catch (error) {
+    console.error('Error handling Razorpay webhook:', error.message);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const {
+  addPosition,
+  updatePosition,
+  removePosition,
+  valuePortfolio
+} = require('../services/portfolio');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Positions marked to market, with Greeks per underlying and portfolio totals
+router.get('/', async (req, res) => {
+  try {
+    res.json(await valuePortfolio(req.user.id));
+  } catch (error) {
+    console.error('Error valuing portfolio:', error.message);
+    res.status(503).json({ error: 'Failed to value portfolio', message: error.message });
+  }
+});
+
+// { symbol, expiryDate?, strike?, optionType?, quantity, averagePrice, notes? }
+// quantity is in units, negative for short positions
+router.post('/positions', async (req, res) => {
+  try {
+    const { position, error, status } = await addPosition(req.user.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json(position);
+  } catch (error) {
+    console.error('Error adding portfolio position:', error.message);
+    res.status(503).json({ error: 'Failed to add position', message: error.message });
+  }
+});
+
+// { quantity?, averagePrice?, notes? }
+router.patch('/positions/:id', (req, res) => {
+  const { position, error, status } = updatePosition(req.user.id, req.params.id, req.body);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  res.json(position);
+});
+
+router.delete('/positions/:id', (req, res) => {
+  if (!removePosition(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'Position not found' });
+  }
+
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { getInstrument } = require('../services/instruments');
+const { resolveSegment, evaluateTrade, sizePosition } = require('../services/risk');
+
+const router = express.Router();
+
+// Shared trade inputs. Sends the error response itself and returns null when invalid.
+function parseTradeInputs(req, res) {
+  const instrument = getInstrument(req.query.instrument);
+  if (!instrument) {
+    res.status(404).json({ error: `Unknown instrument: ${req.query.instrument}` });
+    return null;
+  }
+
+  const { segment, error } = resolveSegment(instrument, req.query.segment);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  const inputs = {
+    capital: parseFloat(req.query.capital),
+    entry: parseFloat(req.query.entry),
+    stopLoss: parseFloat(req.query.stopLoss),
+    target: req.query.target !== undefined ? parseFloat(req.query.target) : undefined,
+    lotSize: segment.startsWith('equity') ? 1 : instrument.lotSize,
+    segment,
+    exchange: instrument.exchange
+  };
+
+  if (!(inputs.capital > 0) || !(inputs.entry > 0) || !(inputs.stopLoss > 0)) {
+    res.status(400).json({ error: 'instrument, capital, entry and stopLoss are required positive numbers' });
+    return null;
+  }
+  if (inputs.entry === inputs.stopLoss) {
+    res.status(400).json({ error: 'stopLoss must differ from entry' });
+    return null;
+  }
+  if (inputs.target !== undefined) {
+    const long = inputs.stopLoss < inputs.entry;
+    if (!(inputs.target > 0) || (long ? inputs.target <= inputs.entry : inputs.target >= inputs.entry)) {
+      res.status(400).json({ error: 'target must be on the profit side of entry' });
+      return null;
+    }
+  }
+
+  return { instrument, inputs };
+}
+
+// Lots and quantity for a risk budget
+// /api/risk/position-size?instrument=nifty&capital=500000&riskPercent=1&entry=120&stopLoss=90&target=180
+router.get('/position-size', (req, res) => {
+  const parsed = parseTradeInputs(req, res);
+  if (!parsed) return;
+
+  const riskPercent = parseFloat(req.query.riskPercent);
+  if (!(riskPercent > 0 && riskPercent <= 100)) {
+    return res.status(400).json({ error: 'riskPercent must be between 0 and 100' });
+  }
+
+  res.json({
+    instrument: parsed.instrument.symbol,
+    segment: parsed.inputs.segment,
+    riskPercent,
+    ...sizePosition({ ...parsed.inputs, riskPercent }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Risk, reward and charges for a position of a given size
+// /api/risk/calculate?instrument=nifty&capital=500000&entry=120&stopLoss=90&target=180&lots=2
+// quantity= is accepted instead of lots and rounded down to whole lots.
+router.get('/calculate', (req, res) => {
+  const parsed = parseTradeInputs(req, res);
+  if (!parsed) return;
+
+  const { lotSize } = parsed.inputs;
+  const requestedQuantity = req.query.lots !== undefined
+    ? parseInt(req.query.lots, 10) * lotSize
+    : parseInt(req.query.quantity, 10);
+
+  if (!(requestedQuantity > 0)) {
+    return res.status(400).json({ error: 'lots or quantity must be a positive integer' });
+  }
+
+  const lots = Math.floor(requestedQuantity / lotSize);
+  if (lots === 0) {
+    return res.status(400).json({ error: `quantity must be at least one lot of ${lotSize}` });
+  }
+
+  res.json({
+    instrument: parsed.instrument.symbol,
+    segment: parsed.inputs.segment,
+    lots,
+    lotSize,
+    requestedQuantity,
+    ...evaluateTrade({ ...parsed.inputs, quantity: lots * lotSize }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
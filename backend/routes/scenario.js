@@ -0,0 +1,101 @@
+const express = require('express');
+const { EXPIRY_DATE_PATTERN, getUnderlying } = require('../services/optionChain');
+const { DEFAULT_RISK_FREE_RATE } = require('../services/greeks');
+const { normalizeLegs, priceLegs } = require('../services/strategy');
+const { LIMITS, buildScenario } = require('../services/scenario');
+
+const router = express.Router();
+
+// Optional array of numbers; undefined when absent, null when invalid
+function parseNumberList(value, { min = -Infinity, maxLength }) {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value) || value.length === 0 || value.length > maxLength) return null;
+
+  const numbers = value.map((entry) => parseFloat(entry));
+  return numbers.every((number) => Number.isFinite(number) && number >= min) ? numbers : null;
+}
+
+// P&L grid over spot x IV shift x days forward, plus a theta decay schedule
+// Takes either legs (as /api/strategy/analyze) or a single option
+// { optionType, strike, action?, lots?, premium?, iv? } at the top level.
+router.post('/', async (req, res) => {
+  const body = req.body || {};
+  const underlying = getUnderlying(body.symbol || 'nifty');
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${body.symbol}` });
+  }
+
+  if (body.expiryDate && !EXPIRY_DATE_PATTERN.test(body.expiryDate)) {
+    return res.status(400).json({ error: 'expiryDate must be in YYYY-MM-DD format' });
+  }
+
+  const rate = body.interestRate !== undefined ? parseFloat(body.interestRate) / 100 : DEFAULT_RISK_FREE_RATE;
+  const spotRangePercent = body.spotRangePercent !== undefined ? parseFloat(body.spotRangePercent) : undefined;
+  const spotSteps = body.spotSteps !== undefined ? parseInt(body.spotSteps, 10) : undefined;
+  const ivShifts = parseNumberList(body.ivShifts, { maxLength: LIMITS.ivShifts });
+  const daysForward = parseNumberList(body.daysForward, { min: 0, maxLength: LIMITS.daysForward });
+
+  if (!Number.isFinite(rate)) {
+    return res.status(400).json({ error: 'interestRate must be a number' });
+  }
+  if (spotRangePercent !== undefined && !(spotRangePercent > 0 && spotRangePercent <= 50)) {
+    return res.status(400).json({ error: 'spotRangePercent must be between 0 and 50' });
+  }
+  if (spotSteps !== undefined && !(spotSteps >= 3 && spotSteps <= LIMITS.spotSteps)) {
+    return res.status(400).json({ error: `spotSteps must be between 3 and ${LIMITS.spotSteps}` });
+  }
+  if (ivShifts === null) {
+    return res.status(400).json({ error: `ivShifts must be an array of up to ${LIMITS.ivShifts} numbers` });
+  }
+  if (daysForward === null) {
+    return res.status(400).json({ error: `daysForward must be an array of up to ${LIMITS.daysForward} non-negative numbers` });
+  }
+
+  const rawLegs = body.legs || [{
+    action: body.action || 'buy',
+    optionType: body.optionType,
+    strike: body.strike,
+    expiryDate: body.expiryDate,
+    lots: body.lots,
+    premium: body.premium,
+    iv: body.iv
+  }];
+
+  try {
+    const { legs, error } = normalizeLegs(rawLegs);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const priced = await priceLegs(underlying, legs, {
+      expiryDate: body.expiryDate,
+      spotPrice: parseFloat(body.spotPrice)
+    });
+    if (priced.error) {
+      return res.status(priced.status).json({ error: priced.error });
+    }
+
+    res.json({
+      symbol: underlying.name,
+      ...buildScenario({
+        legs: priced.legs,
+        spot: priced.spot,
+        lotSize: underlying.lotSize,
+        rate,
+        spotRangePercent,
+        spotSteps,
+        ivShifts,
+        daysForward
+      }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building scenario:', error.message);
+    res.status(503).json({
+      error: 'Failed to build scenario',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
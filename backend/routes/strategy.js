@@ -0,0 +1,142 @@
+const express = require('express');
+const { EXPIRY_DATE_PATTERN, getUnderlying, fetchNearestExpiry, fetchOptionChain } = require('../services/optionChain');
+const { DEFAULT_RISK_FREE_RATE } = require('../services/greeks');
+const {
+  PRESETS,
+  normalizeLegs,
+  priceLegs,
+  analyzeStrategy,
+  buildPreset
+} = require('../services/strategy');
+
+const router = express.Router();
+
+// Shared numeric options for analysis. Returns null when one is invalid.
+function parseAnalysisOptions(source) {
+  const rate = source.interestRate !== undefined ? parseFloat(source.interestRate) / 100 : DEFAULT_RISK_FREE_RATE;
+  const rangePercent = source.rangePercent !== undefined ? parseFloat(source.rangePercent) : undefined;
+
+  if (!Number.isFinite(rate)) return null;
+  if (rangePercent !== undefined && !(rangePercent > 0 && rangePercent <= 50)) return null;
+
+  return { rate, rangePercent };
+}
+
+// Available presets
+router.get('/presets', (req, res) => {
+  res.json({
+    presets: Object.entries(PRESETS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// Analyse a multi-leg position
+// { symbol, expiryDate?, spotPrice?, interestRate?, rangePercent?, legs: [{ action, optionType, strike, expiryDate?, lots?, premium?, iv? }] }
+router.post('/analyze', async (req, res) => {
+  const body = req.body || {};
+  const underlying = getUnderlying(body.symbol || 'nifty');
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${body.symbol}` });
+  }
+
+  if (body.expiryDate && !EXPIRY_DATE_PATTERN.test(body.expiryDate)) {
+    return res.status(400).json({ error: 'expiryDate must be in YYYY-MM-DD format' });
+  }
+
+  const options = parseAnalysisOptions(body);
+  if (!options) {
+    return res.status(400).json({ error: 'interestRate must be a number and rangePercent between 0 and 50' });
+  }
+
+  try {
+    const { legs, error } = normalizeLegs(body.legs);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const priced = await priceLegs(underlying, legs, {
+      expiryDate: body.expiryDate,
+      spotPrice: parseFloat(body.spotPrice)
+    });
+    if (priced.error) {
+      return res.status(priced.status).json({ error: priced.error });
+    }
+
+    res.json({
+      symbol: underlying.name,
+      ...analyzeStrategy({ legs: priced.legs, spot: priced.spot, lotSize: underlying.lotSize, ...options }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error analysing strategy:', error.message);
+    res.status(503).json({
+      error: 'Failed to analyse strategy',
+      message: error.message
+    });
+  }
+});
+
+// Build a preset from the live chain and analyse it
+// /api/strategy/presets/iron_condor?symbol=nifty&expiryDate=&width=2&lots=1
+router.get('/presets/:name', async (req, res) => {
+  const { name } = req.params;
+  if (!PRESETS[name]) {
+    return res.status(404).json({ error: `Unknown preset: ${name}` });
+  }
+
+  const underlying = getUnderlying(req.query.symbol || 'nifty');
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.query.symbol}` });
+  }
+
+  const width = req.query.width !== undefined ? parseInt(req.query.width, 10) : 2;
+  const lots = req.query.lots !== undefined ? parseInt(req.query.lots, 10) : 1;
+  if (!(width > 0 && width <= 20) || !(lots > 0)) {
+    return res.status(400).json({ error: 'width must be between 1 and 20 and lots a positive integer' });
+  }
+
+  let { expiryDate } = req.query;
+  if (expiryDate && !EXPIRY_DATE_PATTERN.test(expiryDate)) {
+    return res.status(400).json({ error: 'expiryDate must be in YYYY-MM-DD format' });
+  }
+
+  const options = parseAnalysisOptions(req.query);
+  if (!options) {
+    return res.status(400).json({ error: 'interestRate must be a number and rangePercent between 0 and 50' });
+  }
+
+  try {
+    if (!expiryDate) {
+      expiryDate = await fetchNearestExpiry(underlying.key);
+      if (!expiryDate) {
+        return res.status(404).json({ error: `No active expiries for ${underlying.name}` });
+      }
+    }
+
+    const { underlyingPrice, optionChain } = await fetchOptionChain(underlying.key, expiryDate);
+    const preset = buildPreset(name, { optionChain, underlyingPrice, expiryDate, width, lots });
+    if (preset.error) {
+      return res.status(422).json({ error: preset.error });
+    }
+
+    const priced = await priceLegs(underlying, normalizeLegs(preset.legs).legs, { expiryDate });
+    if (priced.error) {
+      return res.status(priced.status).json({ error: priced.error });
+    }
+
+    res.json({
+      symbol: underlying.name,
+      preset: name,
+      description: PRESETS[name],
+      ...analyzeStrategy({ legs: priced.legs, spot: priced.spot, lotSize: underlying.lotSize, ...options }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error building strategy preset:', error.message);
+    res.status(503).json({
+      error: 'Failed to build strategy preset',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+const {
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  addItem,
+  removeItem,
+  deleteWatchlist,
+  quoteWatchlist
+} = require('../services/watchlists');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Items are { symbol } for instruments or { symbol, expiryDate, strike, optionType } for options
+router.get('/', (req, res) => {
+  res.json({ watchlists: listWatchlists(req.user.id) });
+});
+
+// { name, items? }
+router.post('/', async (req, res) => {
+  try {
+    const { watchlist, error, status } = await createWatchlist(req.user.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json(watchlist);
+  } catch (error) {
+    console.error('Error creating watchlist:', error.message);
+    res.status(503).json({ error: 'Failed to create watchlist', message: error.message });
+  }
+});
+
+// A watchlist with live prices for every item
+router.get('/:id', async (req, res) => {
+  const watchlist = getWatchlist(req.user.id, req.params.id);
+  if (!watchlist) {
+    return res.status(404).json({ error: 'Watchlist not found' });
+  }
+
+  try {
+    res.json(await quoteWatchlist(watchlist));
+  } catch (error) {
+    console.error('Error pricing watchlist:', error.message);
+    res.status(503).json({ error: 'Failed to price watchlist', message: error.message });
+  }
+});
+
+// Rename and/or replace the items: { name?, items? }
+router.put('/:id', async (req, res) => {
+  try {
+    const { watchlist, error, status } = await updateWatchlist(req.user.id, req.params.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.json(watchlist);
+  } catch (error) {
+    console.error('Error updating watchlist:', error.message);
+    res.status(503).json({ error: 'Failed to update watchlist', message: error.message });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  if (!deleteWatchlist(req.user.id, req.params.id)) {
+    return res.status(404).json({ error: 'Watchlist not found' });
+  }
+
+  res.status(204).end();
+});
+
+router.post('/:id/items', async (req, res) => {
+  try {
+    const { watchlist, error, status } = await addItem(req.user.id, req.params.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    res.status(201).json(watchlist);
+  } catch (error) {
+    console.error('Error adding watchlist item:', error.message);
+    res.status(503).json({ error: 'Failed to add watchlist item', message: error.message });
+  }
+});
+
+// Items are removed by key, e.g. /items/reliance or /items/nifty:2026-10-27:25000:CE
+router.delete('/:id/items/:key', (req, res) => {
+  const { watchlist, error, status } = removeItem(req.user.id, req.params.id, req.params.key);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+
+  res.json(watchlist);
+});
+
+module.exports = router;
@@ -3,219 +3,861 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
-const axios = require('axios');
 
 dotenv.config();
 
+const { dhanStatus } = require('./services/dhan');
+const { createDhanFeed } = require('./services/dhanFeed');
+const { INTERVALS, getCandles } = require('./services/candles');
+const { connectRedis, cacheStatus } = require('./services/cache');
+const { getInstrument, loadInstruments } = require('./services/instruments');
+const { fetchQuotes } = require('./services/quotes');
+const { getProvider } = require('./services/providers');
+const {
+  EXPIRY_DATE_PATTERN,
+  chainEvents,
+  getUnderlying,
+  fetchExpiries,
+  fetchNearestExpiry,
+  fetchOptionChain
+} = require('./services/optionChain');
+const { computeMaxPain } = require('./services/maxPain');
+const { recordPcr, getAnalytics } = require('./services/analytics');
+const {
+  DAYS_PER_YEAR,
+  DEFAULT_RISK_FREE_RATE,
+  blackScholes,
+  impliedVolatility,
+  annotateChainWithGreeks
+} = require('./services/greeks');
+const { DEFAULT_CHANNELS, parseChannel, createMarketPoller } = require('./services/poller');
+const { istDate, recordSnapshot, getOiHistory, getOiChanges } = require('./services/oiHistory');
+const {
+  VIX_SYMBOL,
+  ivSmile,
+  summarizeSkew,
+  atmIv,
+  recordDailyIv,
+  getIvHistory,
+  rankAgainst
+} = require('./services/ivHistory');
+const { alertEvents, getRuleChannels, evaluateChain } = require('./services/alerts');
+const { holdingsEvents } = require('./services/holdings');
+const { watchlistChannels } = require('./services/watchlists');
+const { portfolioChannels } = require('./services/portfolio');
+const { paperEvents, getPaperChannels, processChain, getPortfolio, runEndOfDay } = require('./services/paperTrading');
+const { optionalAuth, authenticateSocket } = require('./middleware/auth');
+const { meterApiCalls, requireFeature } = require('./middleware/plans');
+const { PLANS, hasFeature, moversLimitFor, planForFeature } = require('./services/plans');
+const { getConstituents, fetchMovers, limitMovers } = require('./services/movers');
+const { ruleExpiries, expiryCountdown } = require('./services/calendar');
+const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/account');
+const paymentRoutes = require('./routes/payments');
+const instrumentRoutes = require('./routes/instruments');
+const alertRoutes = require('./routes/alerts');
+const strategyRoutes = require('./routes/strategy');
+const scenarioRoutes = require('./routes/scenario');
+const riskRoutes = require('./routes/risk');
+const marketRoutes = require('./routes/market');
+const adminRoutes = require('./routes/admin');
+const paperRoutes = require('./routes/paper');
+const watchlistRoutes = require('./routes/watchlists');
+const portfolioRoutes = require('./routes/portfolio');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: { origin: "*", methods: ["GET", "POST"] }
 });
 
-app.use(cors());
-app.use(express.json());
+connectRedis();
+loadInstruments();
 
-// Dhan API configuration
-const DHAN_BASE_URL = 'https://api.dhan.co';
-const DHAN_CLIENT_ID = process.env.DHAN_CLIENT_ID;
-const DHAN_ACCESS_TOKEN = process.env.DHAN_ACCESS_TOKEN;
+app.set('trust proxy', 1);
+app.use(cors());
+app.use(express.json({
+  // Keep the raw body for webhook signature checks
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
-const headers = {
-  'Authorization': `Bearer ${DHAN_ACCESS_TOKEN}`,
-  'Content-Type': 'application/json'
-};
+// Malformed bodies, and bare JSON values like null, get a JSON 400
+// instead of Express's HTML error page. Routes take JSON objects only.
+app.use((error, req, res, next) => {
+  if (error.type !== 'entity.parse.failed') return next(error);
+  res.status(400).json({ error: 'Request body must be a JSON object' });
+});
 
-// Health check endpoint
+// Service health. status is 'degraded' when live market data cannot be
+// served: the Dhan token is missing, expired or rejected, or Dhan is
+// unreachable. The response stays 200 so the process is not restarted.
 app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'ok', 
-    message: '✅ Backend is running!',
+  const provider = getProvider();
+  const dhan = dhanStatus();
+  const issues = [];
+
+  if (provider.name === 'dhan') {
+    if (!dhan.token.configured) issues.push('Dhan access token is not configured');
+    else if (dhan.token.expired) issues.push(`Dhan access token expired at ${dhan.token.expiresAt}`);
+    else if (dhan.authenticated === false) issues.push('Dhan rejected the access token');
+    if (dhan.reachable === false) issues.push('Dhan API is unreachable');
+  }
+  if (liveFeed && !liveFeed.status().connected) issues.push('Dhan live feed is disconnected');
+
+  res.json({
+    status: issues.length ? 'degraded' : 'ok',
+    message: issues.length ? issues.join('; ') : '✅ Backend is running!',
+    provider: { name: provider.name, source: provider.source },
+    dhan,
+    liveFeed: liveFeed ? liveFeed.status() : null,
+    cache: cacheStatus(),
+    uptimeSeconds: Math.round(process.uptime()),
     timestamp: new Date().toISOString()
   });
 });
 
-// Get Nifty 50 price from Dhan API
-app.get('/api/nifty', async (req, res) => {
+app.use('/api/auth', authRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Legacy per-index price routes used by the dashboard. Not metered: the
+// dashboard polls them every few seconds and quotes are served from cache.
+function legacyIndexQuote(key) {
+  return async (req, res) => {
+    const { name } = getInstrument(key);
+
+    try {
+      const quote = (await fetchQuotes([key]))[key];
+      if (!quote) throw new Error(`${name} missing from market data response`);
+
+      res.json({
+        ...quote,
+        symbol: name
+      });
+    } catch (error) {
+      console.error(`Error fetching ${name}:`, error.message);
+      res.status(503).json({
+        error: `Failed to fetch ${name}`,
+        message: error.message
+      });
+    }
+  };
+}
+
+app.get('/api/nifty', legacyIndexQuote('nifty'));
+app.get('/api/sensex', legacyIndexQuote('sensex'));
+
+// Every route below counts against the caller's daily API quota
+app.use('/api', optionalAuth, meterApiCalls);
+
+app.use('/api/instruments', instrumentRoutes);
+app.use('/api/alerts', requireFeature('alerts'), alertRoutes);
+app.use('/api/strategy', strategyRoutes);
+app.use('/api/scenario', scenarioRoutes);
+app.use('/api/risk', riskRoutes);
+app.use('/api/market', marketRoutes);
+app.use('/api/paper', paperRoutes);
+app.use('/api/watchlists', watchlistRoutes);
+app.use('/api/portfolio', portfolioRoutes);
+
+// Get the latest price for any registered instrument
+app.get('/api/quote/:symbol', async (req, res) => {
+  const instrument = getInstrument(req.params.symbol);
+  if (!instrument) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
   try {
-    console.log('Fetching Nifty 50 data from Dhan API...');
-    
-    const response = await axios.get(`${DHAN_BASE_URL}/quotes/`, {
-      params: {
-        mode: 'LTP',
-        exchangeTokens: 'NSE_INDEX|13'
-      },
-      headers
+    const quote = (await fetchQuotes([instrument.key]))[instrument.key];
+    if (!quote) {
+      return res.status(502).json({ error: `${instrument.name} missing from market data response` });
+    }
+
+    res.json(quote);
+  } catch (error) {
+    console.error(`Error fetching quote for ${instrument.key}:`, error.message);
+    res.status(503).json({
+      error: 'Failed to fetch quote',
+      message: error.message
     });
+  }
+});
 
-    const data = response.data;
-    
+// Batch quotes: /api/quotes?symbols=nifty,banknifty,reliance
+app.get('/api/quotes', async (req, res) => {
+  const requested = String(req.query.symbols || '').split(',').map((symbol) => symbol.trim()).filter(Boolean);
+  if (requested.length === 0) {
+    return res.status(400).json({ error: 'symbols parameter required' });
+  }
+
+  const unknown = requested.filter((symbol) => !getInstrument(symbol));
+
+  try {
+    const quotes = await fetchQuotes(requested);
     res.json({
-      symbol: 'NIFTY 50',
-      price: data.data?.[0]?.ltp || 19500,
-      change: (Math.random() - 0.5) * 2,
+      quotes,
+      unknown,
       timestamp: new Date().toISOString(),
-      source: 'Dhan API'
+      source: getProvider().source,
+      stale: Object.values(quotes).some((quote) => quote.stale)
     });
   } catch (error) {
-    console.error('Error fetching Nifty from Dhan:', error.message);
+    console.error('Error fetching quotes:', error.message);
     res.status(503).json({
-      symbol: 'NIFTY 50',
-      price: 19500 + Math.random() * 100,
-      change: (Math.random() - 0.5) * 2,
-      timestamp: new Date().toISOString(),
-      source: 'Demo Data',
-      warning: 'Dhan API temporarily unavailable'
+      error: 'Failed to fetch quotes',
+      message: error.message
     });
   }
 });
 
-// Get Sensex price from Dhan API
-app.get('/api/sensex', async (req, res) => {
+// Get available option expiries for an index
+app.get('/api/:symbol/expiries', async (req, res) => {
+  const underlying = getUnderlying(req.params.symbol);
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
   try {
-    console.log('Fetching Sensex data from Dhan API...');
-    
-    const response = await axios.get(`${DHAN_BASE_URL}/quotes/`, {
-      params: {
-        mode: 'LTP',
-        exchangeTokens: 'BSE_INDEX|12'
-      },
-      headers
-    });
+    const { expiries, source, stale } = await fetchExpiries(underlying.key);
 
-    const data = response.data;
-    
     res.json({
-      symbol: 'SENSEX',
-      price: data.data?.[0]?.ltp || 65000,
-      change: (Math.random() - 0.5) * 2,
+      symbol: underlying.name,
+      expiries,
       timestamp: new Date().toISOString(),
-      source: 'Dhan API'
+      source,
+      stale
     });
   } catch (error) {
-    console.error('Error fetching Sensex from Dhan:', error.message);
+    console.error('Error fetching expiry list:', error.message);
     res.status(503).json({
-      symbol: 'SENSEX',
-      price: 65000 + Math.random() * 300,
-      change: (Math.random() - 0.5) * 2,
-      timestamp: new Date().toISOString(),
-      source: 'Demo Data',
-      warning: 'Dhan API temporarily unavailable'
+      error: 'Failed to fetch expiry list',
+      message: error.message
     });
   }
 });
 
-// Get Nifty Option Chain from Dhan API
-app.get('/api/nifty/chain', async (req, res) => {
+// Next expiry with a countdown to 15:30 IST. Uses the provider's expiry list
+// when it is reachable and the calendar rules otherwise.
+app.get('/api/:symbol/next-expiry', async (req, res) => {
+  const underlying = getUnderlying(req.params.symbol);
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  const now = Date.now();
+  const [ruleExpiry] = ruleExpiries(underlying, { count: 1, now });
+  let expiryDate = ruleExpiry || null;
+  let source = 'calendar';
+  let stale = false;
+
   try {
-    const { expiryDate } = req.query;
-    
-    if (!expiryDate) {
-      return res.status(400).json({ error: 'expiryDate parameter required' });
+    const expiries = await fetchExpiries(underlying.key);
+    const listed = expiries.expiries.find((expiry) => expiryCountdown(expiry, now).msLeft > 0);
+    if (listed) {
+      expiryDate = listed;
+      ({ source, stale } = expiries);
     }
+  } catch (error) {
+    console.error('Error fetching expiry list:', error.message);
+  }
+
+  if (!expiryDate) {
+    return res.status(404).json({ error: `No upcoming expiry for ${underlying.name}` });
+  }
+
+  res.json({
+    symbol: underlying.name,
+    expiryCycle: underlying.expiryCycle,
+    expiryDate,
+    ruleExpiry: ruleExpiry || null,
+    ...expiryCountdown(expiryDate, now),
+    source,
+    stale,
+    timestamp: new Date(now).toISOString()
+  });
+});
+
+// Get option chain for an index
+app.get('/api/:symbol/chain', async (req, res) => {
+  const underlying = getUnderlying(req.params.symbol);
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  const { expiryDate } = req.query;
+  const withGreeks = req.query.greeks === 'true';
+
+  if (!expiryDate) {
+    return res.status(400).json({ error: 'expiryDate parameter required' });
+  }
+  if (withGreeks && !hasFeature(req.user, 'greeks')) {
+    return res.status(403).json({ error: 'Your plan does not include greeks', requiredPlan: planForFeature('greeks') });
+  }
+  if (!EXPIRY_DATE_PATTERN.test(expiryDate)) {
+    return res.status(400).json({ error: 'expiryDate must be in YYYY-MM-DD format' });
+  }
+
+  try {
+    const { underlyingPrice, optionChain, source, stale } = await fetchOptionChain(underlying.key, expiryDate);
 
-    console.log('Fetching Nifty option chain from Dhan API...');
-    
-    // Note: Replace with actual Dhan endpoint when available
-    const optionChain = generateDemoOptionChain('NIFTY', 19500);
-    
     res.json({
-      symbol: 'NIFTY 50',
+      symbol: underlying.name,
       expiryDate,
-      optionChain,
+      underlyingPrice,
+      optionChain: withGreeks
+        ? annotateChainWithGreeks(optionChain, { underlyingPrice, expiryDate })
+        : optionChain,
       timestamp: new Date().toISOString(),
-      source: 'Dhan API'
+      source,
+      stale
     });
   } catch (error) {
     console.error('Error fetching option chain:', error.message);
     res.status(503).json({
       error: 'Failed to fetch option chain',
-      source: 'Demo Data'
+      message: error.message
     });
   }
 });
 
-// Get Sensex Option Chain from Dhan API
-app.get('/api/sensex/chain', async (req, res) => {
+// Get max pain computed from the option chain
+// expiryDate is optional and defaults to the nearest expiry.
+app.get('/api/:symbol/maxpain', requireFeature('maxpain'), async (req, res) => {
+  const underlying = getUnderlying(req.params.symbol);
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  let { expiryDate } = req.query;
+
+  if (expiryDate && !EXPIRY_DATE_PATTERN.test(expiryDate)) {
+    return res.status(400).json({ error: 'expiryDate must be in YYYY-MM-DD format' });
+  }
+
   try {
-    const { expiryDate } = req.query;
-    
     if (!expiryDate) {
-      return res.status(400).json({ error: 'expiryDate parameter required' });
+      expiryDate = await fetchNearestExpiry(underlying.key);
+      if (!expiryDate) {
+        return res.status(404).json({ error: `No active expiries for ${underlying.name}` });
+      }
     }
 
-    console.log('Fetching Sensex option chain from Dhan API...');
-    
-    const optionChain = generateDemoOptionChain('SENSEX', 65000);
-    
+    const { underlyingPrice, optionChain, source, stale } = await fetchOptionChain(underlying.key, expiryDate);
+
     res.json({
-      symbol: 'SENSEX',
+      symbol: underlying.name,
       expiryDate,
-      optionChain,
+      underlyingPrice,
+      ...computeMaxPain(optionChain, underlyingPrice),
       timestamp: new Date().toISOString(),
-      source: 'Dhan API'
+      source,
+      stale
     });
   } catch (error) {
-    console.error('Error fetching option chain:', error.message);
+    console.error('Error computing max pain:', error.message);
     res.status(503).json({
-      error: 'Failed to fetch option chain',
-      source: 'Demo Data'
+      error: 'Failed to compute max pain',
+      message: error.message
+    });
+  }
+});
+
+// Resolve ?expiryDate=, defaulting to the nearest expiry.
+// Sends the error response itself and returns null when it cannot.
+async function resolveExpiryParam(req, res, underlying) {
+  const { expiryDate } = req.query;
+
+  if (expiryDate && !EXPIRY_DATE_PATTERN.test(expiryDate)) {
+    res.status(400).json({ error: 'expiryDate must be in YYYY-MM-DD format' });
+    return null;
+  }
+  if (expiryDate) return expiryDate;
+
+  const nearest = await fetchNearestExpiry(underlying.key);
+  if (!nearest) res.status(404).json({ error: `No active expiries for ${underlying.name}` });
+  return nearest;
+}
+
+// Parse an ISO date or epoch milliseconds query value
+function parseTimeParam(value, fallback) {
+  if (value === undefined) return fallback;
+  const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// PCR, tug of war and OI walls derived from the option chain
+// /api/nifty/analytics?expiryDate=&top=5 (expiryDate defaults to the nearest expiry)
+app.get('/api/:symbol/analytics', async (req, res) => {
+  const underlying = getUnderlying(req.params.symbol);
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  const top = req.query.top !== undefined ? parseInt(req.query.top, 10) : 5;
+  if (!(top > 0 && top <= 20)) {
+    return res.status(400).json({ error: 'top must be between 1 and 20' });
+  }
+
+  try {
+    const expiryDate = await resolveExpiryParam(req, res, underlying);
+    if (!expiryDate) return;
+
+    const { underlyingPrice, optionChain, source, stale } = await fetchOptionChain(underlying.key, expiryDate);
+    const analytics = await getAnalytics(
+      { symbol: underlying.key, expiryDate, underlyingPrice, optionChain },
+      { top }
+    );
+
+    res.json({ ...analytics, symbol: underlying.name, source, stale });
+  } catch (error) {
+    console.error('Error computing analytics:', error.message);
+    res.status(503).json({
+      error: 'Failed to compute analytics',
+      message: error.message
+    });
+  }
+});
+
+// OI time series from stored chain snapshots
+// /api/nifty/oi-history?expiryDate=&strike=&from=&to= (from defaults to the last 24 hours)
+app.get('/api/:symbol/oi-history', async (req, res) => {
+  const underlying = getUnderlying(req.params.symbol);
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  const now = Date.now();
+  const from = parseTimeParam(req.query.from, now - 24 * 60 * 60 * 1000);
+  const to = parseTimeParam(req.query.to, now);
+  const strike = req.query.strike !== undefined ? parseFloat(req.query.strike) : undefined;
+
+  if (from === null || to === null || Number.isNaN(strike)) {
+    return res.status(400).json({ error: 'from/to must be ISO dates or epoch ms and strike a number' });
+  }
+
+  try {
+    const expiryDate = await resolveExpiryParam(req, res, underlying);
+    if (!expiryDate) return;
+
+    res.json({
+      symbol: underlying.name,
+      expiryDate,
+      strike: strike === undefined ? null : strike,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      history: await getOiHistory(underlying.key, expiryDate, { strike, from, to })
+    });
+  } catch (error) {
+    console.error('Error reading OI history:', error.message);
+    res.status(500).json({
+      error: 'Failed to read OI history',
+      message: error.message
+    });
+  }
+});
+
+// Per-strike OI change since the open and over the last N minutes
+app.get('/api/:symbol/oi-change', async (req, res) => {
+  const underlying = getUnderlying(req.params.symbol);
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  const minutes = req.query.minutes !== undefined ? parseInt(req.query.minutes, 10) : 15;
+  if (!(minutes > 0)) {
+    return res.status(400).json({ error: 'minutes must be a positive integer' });
+  }
+
+  try {
+    const expiryDate = await resolveExpiryParam(req, res, underlying);
+    if (!expiryDate) return;
+
+    const changes = await getOiChanges(underlying.key, expiryDate, { minutes });
+    if (!changes) {
+      return res.status(404).json({ error: `No OI snapshots recorded today for ${underlying.name} ${expiryDate}` });
+    }
+
+    res.json({ symbol: underlying.name, expiryDate, ...changes });
+  } catch (error) {
+    console.error('Error computing OI change:', error.message);
+    res.status(500).json({
+      error: 'Failed to compute OI change',
+      message: error.message
+    });
+  }
+});
+
+// IV rank, IV percentile and skew from the daily ATM IV history
+// /api/nifty/iv-rank?expiryDate= (expiryDate defaults to the nearest expiry)
+// Volatilities are in percent.
+app.get('/api/:symbol/iv-rank', async (req, res) => {
+  const underlying = getUnderlying(req.params.symbol);
+  if (!underlying) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  try {
+    const expiryDate = await resolveExpiryParam(req, res, underlying);
+    if (!expiryDate) return;
+
+    const chain = await fetchOptionChain(underlying.key, expiryDate);
+    const { underlyingPrice } = chain;
+    const smile = ivSmile({ ...chain, expiryDate });
+    const currentIv = atmIv(smile, underlyingPrice);
+
+    const today = istDate(Date.now());
+    const history = getIvHistory(underlying.key);
+    const ivStats = rankAgainst(history.filter((day) => day.date !== today).map((day) => day.iv), currentIv);
+
+    const vixHistory = getIvHistory(VIX_SYMBOL);
+    let currentVix = vixHistory.length ? vixHistory[vixHistory.length - 1].close : null;
+    try {
+      currentVix = (await fetchQuotes([VIX_SYMBOL]))[VIX_SYMBOL]?.price || currentVix;
+    } catch (error) {
+      console.error('Error fetching India VIX:', error.message);
+    }
+    const vixStats = rankAgainst(vixHistory.filter((day) => day.date !== today).map((day) => day.close), currentVix);
+
+    const toPercent = (value) => (value === null ? null : value * 100);
+    const skew = summarizeSkew(smile, underlyingPrice);
+
+    res.json({
+      symbol: underlying.name,
+      expiryDate,
+      underlyingPrice,
+      currentIv: toPercent(currentIv),
+      high52w: toPercent(ivStats.high),
+      low52w: toPercent(ivStats.low),
+      ivRank: ivStats.rank,
+      ivPercentile: ivStats.percentile,
+      daysOfHistory: history.length,
+      history: history.map(({ date, iv, spot }) => ({ date, iv: iv * 100, spot })),
+      vix: {
+        current: currentVix,
+        high52w: vixStats.high,
+        low52w: vixStats.low,
+        rank: vixStats.rank,
+        percentile: vixStats.percentile,
+        history: vixHistory.map(({ date, close }) => ({ date, close }))
+      },
+      skew: {
+        otmPercent: skew.otmPercent,
+        putIv: toPercent(skew.putIv),
+        callIv: toPercent(skew.callIv),
+        difference: toPercent(skew.difference),
+        smile: skew.smile.map((row) => ({
+          strike: row.strike,
+          moneyness: row.moneyness,
+          callIv: toPercent(row.callIv),
+          putIv: toPercent(row.putIv),
+          otmIv: toPercent(row.otmIv)
+        }))
+      },
+      timestamp: new Date().toISOString(),
+      source: chain.source,
+      stale: chain.stale
+    });
+  } catch (error) {
+    console.error('Error computing IV rank:', error.message);
+    res.status(503).json({
+      error: 'Failed to compute IV rank',
+      message: error.message
     });
   }
 });
 
-// Generate demo option chain (until Dhan endpoint is available)
-function generateDemoOptionChain(symbol, underlyingPrice) {
-  const strikes = [];
-  const baseStrike = Math.floor(underlyingPrice / 100) * 100;
-  
-  for (let i = -5; i <= 5; i++) {
-    const strike = baseStrike + (i * 100);
-    strikes.push({
-      strike,
-      callOI: Math.floor(Math.random() * 500000),
-      callPrice: Math.max(0, underlyingPrice - strike + Math.random() * 50),
-      putOI: Math.floor(Math.random() * 500000),
-      putPrice: Math.max(0, strike - underlyingPrice + Math.random() * 50),
-      iv: 0.15 + Math.random() * 0.10
+// OHLCV candles for any registered instrument
+// /api/nifty/candles?interval=5m&from=&to= (from defaults to the latest session's open)
+app.get('/api/:symbol/candles', async (req, res) => {
+  const instrument = getInstrument(req.params.symbol);
+  if (!instrument) {
+    return res.status(404).json({ error: `Unknown symbol: ${req.params.symbol}` });
+  }
+
+  const interval = req.query.interval || '1m';
+  if (!INTERVALS[interval]) {
+    return res.status(400).json({ error: `interval must be one of ${Object.keys(INTERVALS).join(', ')}` });
+  }
+
+  const now = Date.now();
+  const from = parseTimeParam(req.query.from, undefined);
+  const to = parseTimeParam(req.query.to, now);
+  if (from === null || to === null || from > to) {
+    return res.status(400).json({ error: 'from/to must be ISO dates or epoch ms, with from before to' });
+  }
+
+  try {
+    const candles = await getCandles(instrument.key, interval, { from, to, now });
+
+    res.json({
+      symbol: instrument.name,
+      interval,
+      candles,
+      timestamp: new Date(now).toISOString(),
+      source: getProvider().source
     });
+  } catch (error) {
+    console.error('Error fetching candles:', error.message);
+    res.status(503).json({
+      error: 'Failed to fetch candles',
+      message: error.message
+    });
+  }
+});
+
+// Top index movers by point contribution, and heavyweights by weight
+// /api/nifty/movers?limit= (limit defaults to, and is capped by, the plan's allowance)
+app.get('/api/:symbol/movers', async (req, res) => {
+  const instrument = getInstrument(req.params.symbol);
+  if (!instrument || !getConstituents(instrument.key)) {
+    return res.status(404).json({ error: `No constituents tracked for ${req.params.symbol}` });
+  }
+
+  const requested = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : null;
+  if (requested !== null && !(requested > 0)) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
+
+  const planLimit = moversLimitFor(req.user);
+  const limit = planLimit === null ? requested || Infinity : Math.min(requested || planLimit, planLimit);
+  const limitedByPlan = requested !== null && planLimit !== null && requested > planLimit;
+
+  try {
+    const movers = await fetchMovers(instrument.key);
+
+    res.json({
+      symbol: instrument.name,
+      limit: Number.isFinite(limit) ? limit : movers.movers.length,
+      limitedByPlan,
+      requiredPlan: limitedByPlan
+        ? Object.keys(PLANS).find((key) => PLANS[key].moversLimit === null || PLANS[key].moversLimit >= requested)
+        : null,
+      ...limitMovers(movers, limit),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching index movers:', error.message);
+    res.status(503).json({
+      error: 'Failed to fetch index movers',
+      message: error.message
+    });
+  }
+});
+
+// Parse the Greeks Calculator inputs. Volatility and interest rate are percentages.
+function parseOptionInputs(query) {
+  const inputs = {
+    spot: parseFloat(query.spotPrice),
+    strike: parseFloat(query.strikePrice),
+    days: parseFloat(query.daysToExpiry),
+    rate: query.interestRate !== undefined ? parseFloat(query.interestRate) / 100 : DEFAULT_RISK_FREE_RATE
+  };
+
+  if (!(inputs.spot > 0) || !(inputs.strike > 0) || !(inputs.days >= 0) || !Number.isFinite(inputs.rate)) {
+    return null;
   }
-  
-  return strikes;
+
+  inputs.timeToExpiry = inputs.days / DAYS_PER_YEAR;
+  return inputs;
 }
 
+// Black-Scholes price and Greeks for a call and put at the same strike
+app.get('/api/greeks', requireFeature('greeks'), (req, res) => {
+  const inputs = parseOptionInputs(req.query);
+  const volatility = parseFloat(req.query.volatility) / 100;
+
+  if (!inputs || !(volatility > 0)) {
+    return res.status(400).json({
+      error: 'spotPrice, strikePrice, daysToExpiry and volatility are required numbers'
+    });
+  }
+
+  const params = { spot: inputs.spot, strike: inputs.strike, timeToExpiry: inputs.timeToExpiry, volatility, rate: inputs.rate };
+
+  res.json({
+    inputs: {
+      spotPrice: inputs.spot,
+      strikePrice: inputs.strike,
+      daysToExpiry: inputs.days,
+      volatility: volatility * 100,
+      interestRate: inputs.rate * 100
+    },
+    call: blackScholes({ type: 'call', ...params }),
+    put: blackScholes({ type: 'put', ...params }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Implied volatility (in percent) backed out of an option's price
+app.get('/api/greeks/iv', requireFeature('greeks'), (req, res) => {
+  const inputs = parseOptionInputs(req.query);
+  const price = parseFloat(req.query.optionPrice);
+  const type = { CE: 'call', CALL: 'call', PE: 'put', PUT: 'put' }[String(req.query.optionType).toUpperCase()];
+
+  if (!inputs || !(price > 0) || !type) {
+    return res.status(400).json({
+      error: 'optionPrice, optionType (CE/PE), spotPrice, strikePrice and daysToExpiry are required'
+    });
+  }
+
+  const iv = impliedVolatility({
+    type, price, spot: inputs.spot, strike: inputs.strike, timeToExpiry: inputs.timeToExpiry, rate: inputs.rate
+  });
+
+  if (iv === null) {
+    return res.status(422).json({ error: 'No volatility reproduces this option price' });
+  }
+
+  res.json({
+    optionType: type,
+    optionPrice: price,
+    impliedVolatility: iv * 100,
+    greeks: blackScholes({
+      type, spot: inputs.spot, strike: inputs.strike, timeToExpiry: inputs.timeToExpiry, volatility: iv, rate: inputs.rate
+    }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Stream quotes from Dhan's live feed when enabled; REST polling covers the rest
+const liveFeed = process.env.DHAN_LIVE_FEED === 'true' && getProvider().name === 'dhan' ? createDhanFeed() : null;
+
 // WebSocket connection for live data
+// Every client starts on the default channels and can subscribe to more.
+const poller = createMarketPoller(io, { feed: liveFeed });
+poller.track('oiHistory', ['chain:nifty', 'chain:sensex']);
+// Build dashboard index candles from startup, seeded with intraday history
+poller.track('candles', ['candles:nifty:1m', 'candles:sensex:1m']);
+poller.start();
+
+// Snapshot every refreshed chain for the OI, daily IV and PCR history
+chainEvents.on('chain', recordSnapshot);
+chainEvents.on('chain', recordDailyIv);
+chainEvents.on('chain', (chain) => {
+  recordPcr(chain).catch((error) => console.error('Error recording PCR history:', error.message));
+});
+
+// Evaluate alert rules on every chain refresh, polling whatever they watch,
+// and deliver fired alerts to the owning user's room
+poller.track('alerts', getRuleChannels());
+alertEvents.on('rulesChanged', () => poller.track('alerts', getRuleChannels()));
+chainEvents.on('chain', (chain) => {
+  evaluateChain(chain).catch((error) => console.error('Error evaluating alert rules:', error.message));
+});
+alertEvents.on('alert', (alert) => io.to(`user:${alert.userId}`).emit('alert', alert));
+
+// Paper trading: poll every chain with a pending order or open position,
+// match orders on each refresh and push order updates and mark-to-market
+// to connected owners
+poller.track('paper', getPaperChannels());
+paperEvents.on('positionsChanged', () => poller.track('paper', getPaperChannels()));
+paperEvents.on('order', (order) => io.to(`user:${order.userId}`).emit('paperOrder', order));
+chainEvents.on('chain', async (chain) => {
+  try {
+    const userIds = processChain(chain).filter((userId) => io.sockets.adapter.rooms.has(`user:${userId}`));
+    for (const userId of userIds) {
+      io.to(`user:${userId}`).emit('paperPortfolio', await getPortfolio(userId));
+    }
+  } catch (error) {
+    console.error('Error updating paper trading:', error.message);
+  }
+});
+
+// Expire day orders and settle expired positions once the session closes
+setInterval(() => {
+  runEndOfDay().catch((error) => console.error('Error running paper trading end of day:', error.message));
+}, 60 * 1000);
+
+io.use(authenticateSocket);
+
+// Pro-only feeds are refused for sockets whose plan lacks the feature,
+// as are movers channels asking for more rows than the plan allows.
+// Refusals are reported in the subscribe ack and, for the default
+// channels, a 'subscriptionDenied' event on connect.
+const CHANNEL_FEATURES = { maxpain: 'maxpain' };
+
+// Why a socket may not join a channel: { channel, error, requiredPlan } or null
+function channelDenial(socket, channel) {
+  const parsed = parseChannel(channel);
+  if (parsed?.type === 'movers') {
+    const limit = moversLimitFor(socket.data.user);
+    if (limit === null || parsed.limit <= limit) return null;
+    const requiredPlan = Object.keys(PLANS).find((key) => PLANS[key].moversLimit === null || PLANS[key].moversLimit >= parsed.limit);
+    return { channel, error: `Your plan shows at most ${limit} movers`, requiredPlan };
+  }
+
+  const feature = CHANNEL_FEATURES[String(channel).split(':')[0]];
+  if (!feature || hasFeature(socket.data.user, feature)) return null;
+  return { channel, error: `Your plan does not include ${feature}`, requiredPlan: planForFeature(feature) };
+}
+
+function allowedChannels(socket, channels) {
+  return [].concat(channels || []).filter((channel) => !channelDenial(socket, channel));
+}
+
+function deniedChannels(socket, channels) {
+  return [].concat(channels || []).map((channel) => channelDenial(socket, channel)).filter(Boolean);
+}
+
+// Signed-in sockets follow everything in their user's watchlists and
+// portfolio: quote channels for instruments, chain channels for options.
+// Channels no longer held are left, even if also subscribed by hand.
+function followHoldings(socket) {
+  const userId = socket.data.user.id;
+  const channels = allowedChannels(socket, [...new Set([...watchlistChannels(userId), ...portfolioChannels(userId)])]);
+  const dropped = (socket.data.holdingChannels || []).filter((channel) => !channels.includes(channel));
+
+  poller.unsubscribe(socket, dropped);
+  poller.subscribe(socket, channels.filter((channel) => !socket.rooms.has(channel)));
+  socket.data.holdingChannels = channels;
+  socket.emit('holdingsSubscribed', { channels });
+}
+
+holdingsEvents.on('changed', (userId) => {
+  (io.sockets.adapter.rooms.get(`user:${userId}`) || new Set()).forEach((id) => {
+    const socket = io.sockets.sockets.get(id);
+    if (socket) followHoldings(socket);
+  });
+});
+
 io.on('connection', (socket) => {
   console.log('✅ Client connected:', socket.id);
-  
-  // Send live data every 3 seconds (Dhan rate limit)
-  const interval = setInterval(() => {
-    const liveData = {
-      nifty: {
-        price: 19500 + (Math.random() - 0.5) * 100,
-        change: (Math.random() - 0.5) * 2
-      },
-      sensex: {
-        price: 65000 + (Math.random() - 0.5) * 300,
-        change: (Math.random() - 0.5) * 2
-      },
-      timestamp: new Date().toISOString()
-    };
-    socket.emit('liveData', liveData);
-  }, 3000);
+
+  poller.subscribe(socket, allowedChannels(socket, DEFAULT_CHANNELS));
+  const denied = deniedChannels(socket, DEFAULT_CHANNELS);
+  if (denied.length) socket.emit('subscriptionDenied', { denied });
+
+  // Authenticated sockets also receive their user's private events
+  if (socket.data.user) {
+    socket.join(`user:${socket.data.user.id}`);
+    followHoldings(socket);
+  }
+
+  socket.on('subscribe', (channels, ack) => {
+    const subscribed = poller.subscribe(socket, allowedChannels(socket, channels));
+    if (typeof ack === 'function') ack({ subscribed, denied: deniedChannels(socket, channels) });
+  });
+
+  socket.on('unsubscribe', (channels, ack) => {
+    const unsubscribed = poller.unsubscribe(socket, channels);
+    if (typeof ack === 'function') ack({ unsubscribed });
+  });
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
-    clearInterval(interval);
   });
 });
 
+// Fail fast on a misconfigured market data provider
+getProvider();
+
 // Start server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`✅ Trading Backend Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
-  console.log(`Dhan Client ID: ${DHAN_CLIENT_ID}`);
+  console.log(`Dhan Client ID: ${dhanStatus().token.clientId}`);
 });
 
 module.exports = server;
@@ -0,0 +1,342 @@
+const EventEmitter = require('events');
+const { createCollection } = require('./store');
+const { EXPIRY_DATE_PATTERN, getUnderlying, fetchExpiries, fetchNearestExpiry } = require('./optionChain');
+const { computeMaxPain } = require('./maxPain');
+const { summarizeChain } = require('./analytics');
+const { getUser } = require('./users');
+const { hasFeature } = require('./plans');
+
+// OI alert rules engine.
+//
+// Every chain refresh is sampled into a short in-memory history per
+// symbol/expiry and evaluated against the rules for that chain:
+//   oi_change       OI build-up or unwinding at a strike over a window
+//   pcr_cross       put-call ratio (OI) crossing a level
+//   max_pain_cross  spot crossing the max pain strike
+//   iv_spike        ATM implied volatility rising sharply over a window
+// Fired alerts are stored and emitted on alertEvents as 'alert'. Rules of
+// users whose plan no longer includes alerts are kept but not evaluated.
+
+const alertEvents = new EventEmitter();
+
+const rules = createCollection('alertRules');
+const alertHistory = createCollection('alerts');
+
+const SAMPLE_INTERVAL = 15 * 1000;
+const SAMPLE_RETENTION = 60 * 60 * 1000;
+const DEFAULT_COOLDOWN_MINUTES = 15;
+const MAX_ALERTS_PER_USER = 500;
+const MAX_RULES_PER_USER = 50;
+
+const samples = new Map();
+const ruleState = new Map();
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && value > 0;
+}
+
+function oneOf(value, allowed, fallback) {
+  if (value === undefined) return fallback;
+  return allowed.includes(value) ? value : null;
+}
+
+// Per-type parameter validation: returns { params } or { error }
+const RULE_TYPES = {
+  oi_change(body) {
+    const side = oneOf(body.side, ['call', 'put', 'both'], 'both');
+    const direction = oneOf(body.direction, ['buildup', 'unwinding', 'either'], 'either');
+    const windowMinutes = body.windowMinutes === undefined ? 5 : body.windowMinutes;
+
+    if (!side || !direction) return { error: 'side must be call/put/both and direction buildup/unwinding/either' };
+    if (!isPositiveNumber(body.thresholdPercent)) return { error: 'thresholdPercent must be a positive number' };
+    if (!isPositiveNumber(windowMinutes) || windowMinutes > 60) return { error: 'windowMinutes must be between 1 and 60' };
+    if (body.strike !== undefined && !isPositiveNumber(body.strike)) return { error: 'strike must be a positive number' };
+
+    return {
+      params: { strike: body.strike ?? null, side, direction, thresholdPercent: body.thresholdPercent, windowMinutes }
+    };
+  },
+
+  pcr_cross(body) {
+    const direction = oneOf(body.direction, ['above', 'below'], null);
+    if (!isPositiveNumber(body.level) || !direction) return { error: 'level must be a positive number and direction above/below' };
+    return { params: { level: body.level, direction } };
+  },
+
+  max_pain_cross() {
+    return { params: {} };
+  },
+
+  iv_spike(body) {
+    const windowMinutes = body.windowMinutes === undefined ? 15 : body.windowMinutes;
+    if (!isPositiveNumber(body.thresholdPercent)) return { error: 'thresholdPercent must be a positive number' };
+    if (!isPositiveNumber(windowMinutes) || windowMinutes > 60) return { error: 'windowMinutes must be between 1 and 60' };
+    return { params: { thresholdPercent: body.thresholdPercent, windowMinutes } };
+  }
+};
+
+// Validate and store a rule. Returns { rule } or { error, status }.
+async function createRule(userId, body = {}) {
+  const validate = RULE_TYPES[body.type];
+  if (!validate) return { error: `type must be one of ${Object.keys(RULE_TYPES).join(', ')}`, status: 400 };
+
+  const underlying = getUnderlying(body.symbol);
+  if (!underlying) return { error: `Unknown symbol: ${body.symbol}`, status: 400 };
+
+  if (body.expiryDate !== undefined && body.expiryDate !== null && !EXPIRY_DATE_PATTERN.test(body.expiryDate)) {
+    return { error: 'expiryDate must be in YYYY-MM-DD format', status: 400 };
+  }
+
+  const cooldownMinutes = body.cooldownMinutes === undefined ? DEFAULT_COOLDOWN_MINUTES : body.cooldownMinutes;
+  if (typeof cooldownMinutes !== 'number' || cooldownMinutes < 0) {
+    return { error: 'cooldownMinutes must be a non-negative number', status: 400 };
+  }
+
+  const { params, error } = validate(body);
+  if (error) return { error, status: 400 };
+
+  if (listRules(userId).length >= MAX_RULES_PER_USER) {
+    return { error: `At most ${MAX_RULES_PER_USER} alert rules are allowed`, status: 409 };
+  }
+
+  // A rule on an expiry that is not listed would poll a chain that never exists
+  if (body.expiryDate) {
+    const { expiries } = await fetchExpiries(underlying.key);
+    if (!expiries.includes(body.expiryDate)) {
+      return { error: `${body.expiryDate} is not a listed ${underlying.name} expiry`, status: 400 };
+    }
+  }
+
+  const rule = rules.insert({
+    userId,
+    type: body.type,
+    symbol: underlying.key,
+    expiryDate: body.expiryDate || null,
+    ...params,
+    cooldownMinutes,
+    createdAt: new Date().toISOString()
+  });
+
+  alertEvents.emit('rulesChanged');
+  return { rule };
+}
+
+function listRules(userId) {
+  return rules.find((rule) => rule.userId === userId);
+}
+
+function deleteRule(userId, ruleId) {
+  const rule = rules.get(ruleId);
+  if (!rule || rule.userId !== userId) return false;
+
+  rules.remove(ruleId);
+  ruleState.delete(ruleId);
+  alertEvents.emit('rulesChanged');
+  return true;
+}
+
+// Fired alerts for a user, newest first
+function listAlerts(userId, { page = 1, limit = 20 } = {}) {
+  const all = alertHistory
+    .find((alert) => alert.userId === userId)
+    .sort((a, b) => b.firedAt.localeCompare(a.firedAt));
+
+  return {
+    page,
+    limit,
+    total: all.length,
+    alerts: all.slice((page - 1) * limit, page * limit)
+  };
+}
+
+// Whether a rule's owner still has alerts on their plan
+function ownerHasAlerts(rule) {
+  return hasFeature(getUser(rule.userId), 'alerts');
+}
+
+// Poller channels needed to evaluate every active rule
+function getRuleChannels() {
+  return [...new Set(rules.find(ownerHasAlerts).map((rule) => (
+    rule.expiryDate ? `chain:${rule.symbol}:${rule.expiryDate}` : `chain:${rule.symbol}`
+  )))];
+}
+
+function takeSample({ underlyingPrice, optionChain }, now) {
+  const oi = new Map();
+  optionChain.forEach(({ strike, call, put }) => {
+    oi.set(strike, { call: call?.oi || 0, put: put?.oi || 0 });
+  });
+
+  const atm = optionChain.reduce((best, row) => (
+    !best || Math.abs(row.strike - underlyingPrice) < Math.abs(best.strike - underlyingPrice) ? row : best
+  ), null);
+  const ivs = [atm?.call?.iv, atm?.put?.iv].filter((iv) => iv > 0);
+
+  return {
+    t: now,
+    spot: underlyingPrice,
+    oi,
+    pcr: summarizeChain(optionChain).pcr.oi,
+    atmIv: ivs.length ? ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length : null,
+    maxPain: computeMaxPain(optionChain, underlyingPrice).maxPainStrike
+  };
+}
+
+// Oldest sample inside the window, provided it predates the latest one
+function windowBaseline(history, windowMinutes, now) {
+  const start = now - windowMinutes * 60 * 1000;
+  const baseline = history.find((sample) => sample.t >= start);
+  return baseline && baseline.t < now ? baseline : null;
+}
+
+// Rule evaluators: return { message, data } when the rule fires, else null
+const EVALUATORS = {
+  oi_change(rule, history, latest, state, now) {
+    const baseline = windowBaseline(history, rule.windowMinutes, now);
+    if (!baseline) return null;
+
+    const sides = rule.side === 'both' ? ['call', 'put'] : [rule.side];
+    const strikes = rule.strike !== null ? [rule.strike] : [...latest.oi.keys()];
+    let strongest = null;
+
+    strikes.forEach((strike) => {
+      const current = latest.oi.get(strike);
+      const previous = baseline.oi.get(strike);
+      if (!current || !previous) return;
+
+      sides.forEach((side) => {
+        if (!(previous[side] > 0)) return;
+        const changePercent = ((current[side] - previous[side]) / previous[side]) * 100;
+        const matches = (rule.direction !== 'unwinding' && changePercent >= rule.thresholdPercent)
+          || (rule.direction !== 'buildup' && changePercent <= -rule.thresholdPercent);
+
+        if (matches && (!strongest || Math.abs(changePercent) > Math.abs(strongest.changePercent))) {
+          strongest = { strike, side, previousOI: previous[side], currentOI: current[side], changePercent };
+        }
+      });
+    });
+
+    if (!strongest) return null;
+
+    const label = strongest.changePercent > 0 ? 'build-up' : 'unwinding';
+    return {
+      message: `${strongest.side === 'call' ? 'Call' : 'Put'} OI ${label} of ${strongest.changePercent.toFixed(1)}% at ${strongest.strike} in ${rule.windowMinutes} min`,
+      data: strongest
+    };
+  },
+
+  pcr_cross(rule, history, latest, state) {
+    const previous = state.previousPcr;
+    state.previousPcr = latest.pcr;
+    if (previous === undefined || previous === null || latest.pcr === null) return null;
+
+    const crossed = rule.direction === 'above'
+      ? previous < rule.level && latest.pcr >= rule.level
+      : previous > rule.level && latest.pcr <= rule.level;
+
+    if (!crossed) return null;
+    return {
+      message: `PCR crossed ${rule.direction} ${rule.level} (now ${latest.pcr.toFixed(2)})`,
+      data: { previousPcr: previous, pcr: latest.pcr, level: rule.level }
+    };
+  },
+
+  max_pain_cross(rule, history, latest, state) {
+    if (latest.maxPain === null || !latest.spot) return null;
+
+    const side = Math.sign(latest.spot - latest.maxPain);
+    const previousSide = state.previousSide;
+    if (side !== 0) state.previousSide = side;
+    if (!previousSide || side === 0 || side === previousSide) return null;
+
+    return {
+      message: `Spot ${latest.spot} crossed ${side > 0 ? 'above' : 'below'} max pain ${latest.maxPain}`,
+      data: { spot: latest.spot, maxPain: latest.maxPain }
+    };
+  },
+
+  iv_spike(rule, history, latest, state, now) {
+    const baseline = windowBaseline(history, rule.windowMinutes, now);
+    if (!baseline || !baseline.atmIv || !latest.atmIv) return null;
+
+    const changePercent = ((latest.atmIv - baseline.atmIv) / baseline.atmIv) * 100;
+    if (changePercent < rule.thresholdPercent) return null;
+
+    return {
+      message: `ATM IV up ${changePercent.toFixed(1)}% in ${rule.windowMinutes} min (${(latest.atmIv * 100).toFixed(1)}%)`,
+      data: { previousIv: baseline.atmIv, iv: latest.atmIv, changePercent }
+    };
+  }
+};
+
+function fire(rule, result, chain, now) {
+  const alert = alertHistory.insert({
+    userId: rule.userId,
+    ruleId: rule.id,
+    type: rule.type,
+    symbol: rule.symbol,
+    expiryDate: chain.expiryDate,
+    message: `${getUnderlying(rule.symbol).name}: ${result.message}`,
+    data: result.data,
+    firedAt: new Date(now).toISOString()
+  });
+
+  // Keep each user's history bounded
+  const userAlerts = alertHistory.find((entry) => entry.userId === rule.userId);
+  if (userAlerts.length > MAX_ALERTS_PER_USER) {
+    const keep = new Set(userAlerts
+      .sort((a, b) => b.firedAt.localeCompare(a.firedAt))
+      .slice(0, MAX_ALERTS_PER_USER)
+      .map((entry) => entry.id));
+    alertHistory.removeWhere((entry) => entry.userId === rule.userId && !keep.has(entry.id));
+  }
+
+  alertEvents.emit('alert', alert);
+}
+
+// Evaluate all matching rules against a freshly fetched chain
+async function evaluateChain(chain, now = Date.now()) {
+  const { symbol, expiryDate } = chain;
+  const matching = rules.find((rule) => rule.symbol === symbol && ownerHasAlerts(rule));
+  if (matching.length === 0) return;
+
+  const key = `${symbol}:${expiryDate}`;
+  const history = samples.get(key) || [];
+  const latest = takeSample(chain, now);
+
+  if (!history.length || now - history[history.length - 1].t >= SAMPLE_INTERVAL) history.push(latest);
+  while (history.length && now - history[0].t > SAMPLE_RETENTION) history.shift();
+  samples.set(key, history);
+
+  let nearest = null;
+  try {
+    nearest = await fetchNearestExpiry(symbol);
+  } catch (error) {
+    console.error(`Error resolving nearest ${symbol} expiry for alerts:`, error.message);
+  }
+
+  matching
+    .filter((rule) => (rule.expiryDate || nearest) === expiryDate)
+    .forEach((rule) => {
+      const state = ruleState.get(rule.id) || {};
+      ruleState.set(rule.id, state);
+
+      const result = EVALUATORS[rule.type](rule, history, latest, state, now);
+      if (!result) return;
+      if (state.lastFiredAt && now - state.lastFiredAt < rule.cooldownMinutes * 60 * 1000) return;
+
+      state.lastFiredAt = now;
+      fire(rule, result, chain, now);
+    });
+}
+
+module.exports = {
+  RULE_TYPES,
+  alertEvents,
+  createRule,
+  listRules,
+  deleteRule,
+  listAlerts,
+  getRuleChannels,
+  evaluateChain
+};
@@ -0,0 +1,137 @@
+const { getOiHistory, istDate, istDayStart } = require('./oiHistory');
+const { expiryCountdown } = require('./calendar');
+
+// Option chain analytics for the dashboard: call/put totals, put-call
+// ratios, tug of war and OI walls, plus the session's PCR history.
+
+const PCR_HISTORY_INTERVAL = 60 * 1000;
+
+const pcrSessions = new Map();
+
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+function summarizeChain(optionChain) {
+  const totals = { callOI: 0, putOI: 0, callOIChange: 0, putOIChange: 0, callVolume: 0, putVolume: 0 };
+
+  optionChain.forEach(({ call, put }) => {
+    totals.callOI += call?.oi || 0;
+    totals.putOI += put?.oi || 0;
+    totals.callOIChange += call?.oiChange || 0;
+    totals.putOIChange += put?.oiChange || 0;
+    totals.callVolume += call?.volume || 0;
+    totals.putVolume += put?.volume || 0;
+  });
+
+  return {
+    totals,
+    pcr: {
+      oi: ratio(totals.putOI, totals.callOI),
+      volume: ratio(totals.putVolume, totals.callVolume)
+    }
+  };
+}
+
+// Strikes with the heaviest OI on one side. Calls above spot act as
+// resistance, puts below spot as support.
+function findWalls(optionChain, underlyingPrice, side, top, totalOI) {
+  return optionChain
+    .filter((row) => row[side] && (side === 'call' ? row.strike >= underlyingPrice : row.strike <= underlyingPrice))
+    .sort((a, b) => b[side].oi - a[side].oi)
+    .slice(0, top)
+    .map((row) => ({
+      strike: row.strike,
+      oi: row[side].oi,
+      oiChange: row[side].oiChange,
+      concentration: totalOI > 0 ? (row[side].oi / totalOI) * 100 : 0,
+      distance: row.strike - underlyingPrice
+    }));
+}
+
+function computeChainAnalytics(optionChain, underlyingPrice, { top = 5 } = {}) {
+  const { totals, pcr } = summarizeChain(optionChain);
+  const combinedOI = totals.callOI + totals.putOI;
+
+  return {
+    totals,
+    pcr,
+    tugOfWar: {
+      callsPercent: combinedOI > 0 ? (totals.callOI / combinedOI) * 100 : 50,
+      putsPercent: combinedOI > 0 ? (totals.putOI / combinedOI) * 100 : 50,
+      bias: pcr.oi === null ? 'neutral' : pcr.oi > 1 ? 'bullish' : pcr.oi < 1 ? 'bearish' : 'neutral'
+    },
+    walls: {
+      resistance: findWalls(optionChain, underlyingPrice, 'call', top, totals.callOI),
+      support: findWalls(optionChain, underlyingPrice, 'put', top, totals.putOI)
+    }
+  };
+}
+
+// Today's PCR series for symbol/expiry, seeded from stored OI snapshots the
+// first time it is used in a session
+async function getPcrSession(symbol, expiryDate, now) {
+  const key = `${symbol}:${expiryDate}`;
+  const day = istDate(now);
+  const existing = pcrSessions.get(key);
+  if (existing && existing.day === day) return existing;
+
+  const snapshots = await getOiHistory(symbol, expiryDate, { from: istDayStart(now), to: now });
+  const session = {
+    day,
+    expiryDate,
+    points: snapshots.map(({ timestamp, underlyingPrice, strikes }) => {
+      const callOI = strikes.reduce((sum, row) => sum + row.callOI, 0);
+      const putOI = strikes.reduce((sum, row) => sum + row.putOI, 0);
+      const callVolume = strikes.reduce((sum, row) => sum + row.callVolume, 0);
+      const putVolume = strikes.reduce((sum, row) => sum + row.putVolume, 0);
+      return { timestamp, underlyingPrice, oi: ratio(putOI, callOI), volume: ratio(putVolume, callVolume) };
+    })
+  };
+
+  pcrSessions.set(key, session);
+  return session;
+}
+
+// Drop sessions from earlier days and for expiries that have closed
+function prunePcrSessions(now) {
+  const day = istDate(now);
+  pcrSessions.forEach((session, key) => {
+    if (session.day !== day || expiryCountdown(session.expiryDate, now).msLeft === 0) pcrSessions.delete(key);
+  });
+}
+
+// Add a chain refresh to its PCR history, at most one point per
+// PCR_HISTORY_INTERVAL. Driven by chainEvents, so requests and cache hits
+// never add points.
+async function recordPcr({ symbol, expiryDate, underlyingPrice, optionChain }, now = Date.now()) {
+  prunePcrSessions(now);
+  const session = await getPcrSession(symbol, expiryDate, now);
+  const last = session.points[session.points.length - 1];
+  if (last && now - Date.parse(last.timestamp) < PCR_HISTORY_INTERVAL) return;
+
+  const { pcr } = summarizeChain(optionChain);
+  session.points.push({ timestamp: new Date(now).toISOString(), underlyingPrice, oi: pcr.oi, volume: pcr.volume });
+}
+
+// Full analytics payload for a chain, with the session's PCR history
+async function getAnalytics({ symbol, expiryDate, underlyingPrice, optionChain }, { top = 5, now = Date.now() } = {}) {
+  const analytics = computeChainAnalytics(optionChain, underlyingPrice, { top });
+  const session = await getPcrSession(symbol, expiryDate, now);
+
+  return {
+    symbol,
+    expiryDate,
+    underlyingPrice,
+    ...analytics,
+    pcrHistory: session.points,
+    timestamp: new Date(now).toISOString()
+  };
+}
+
+module.exports = {
+  summarizeChain,
+  computeChainAnalytics,
+  recordPcr,
+  getAnalytics
+};
@@ -0,0 +1,198 @@
+const { createClient } = require('redis');
+
+// Cache in front of upstream (Dhan) calls.
+//
+// Each data type has a TTL during which values are served as fresh. For a
+// further stale window the old value is still served immediately while a
+// single background refresh runs (stale-while-revalidate). Concurrent misses
+// for the same key share one upstream call.
+//
+// Values live in Redis when it is reachable and in process memory otherwise,
+// so the cache works with a local Redis or none at all.
+
+const CACHE_TTL = {
+  ltp: 1000,
+  chain: 3000,
+  expiries: 10 * 60 * 1000,
+  candles: 60 * 1000
+};
+
+const STALE_WINDOW = {
+  ltp: 30 * 1000,
+  chain: 60 * 1000,
+  expiries: 60 * 60 * 1000,
+  candles: 5 * 60 * 1000
+};
+
+const KEY_PREFIX = 'finop:cache:';
+
+const memoryStore = new Map();
+const inflight = new Map();
+const lastFailures = new Map();
+const feeds = {};
+let redisClient = null;
+
+// Connect to Redis when configured. Failures are logged once and the cache
+// keeps working from memory while the client retries in the background.
+function connectRedis() {
+  if (redisClient || (!process.env.REDIS_URL && !process.env.REDIS_HOST)) return null;
+
+  redisClient = createClient({
+    url: process.env.REDIS_URL,
+    password: process.env.REDIS_PASSWORD || undefined,
+    socket: {
+      host: process.env.REDIS_HOST,
+      port: parseInt(process.env.REDIS_PORT || '6379', 10),
+      connectTimeout: 3000,
+      reconnectStrategy: (retries) => Math.min(retries * 1000, 30000)
+    }
+  });
+
+  let reportedDown = false;
+  redisClient.on('ready', () => {
+    reportedDown = false;
+    console.log('✅ Redis connected');
+  });
+  redisClient.on('error', (error) => {
+    if (reportedDown) return;
+    reportedDown = true;
+    console.error('Redis unavailable, using in-memory cache:', error.message);
+  });
+
+  redisClient.connect().catch(() => {});
+  return redisClient;
+}
+
+// The Redis client if it is connected, otherwise null
+function getRedisClient() {
+  return redisClient && redisClient.isReady ? redisClient : null;
+}
+
+async function readEntry(key) {
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const raw = await redis.get(KEY_PREFIX + key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.error('Redis read failed:', error.message);
+    }
+  }
+
+  const entry = memoryStore.get(key);
+  if (entry && entry.expiresAt <= Date.now()) {
+    memoryStore.delete(key);
+    return null;
+  }
+  return entry || null;
+}
+
+async function writeEntry(key, entry, lifetime) {
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      await redis.set(KEY_PREFIX + key, JSON.stringify(entry), { PX: lifetime });
+      return;
+    } catch (error) {
+      console.error('Redis write failed:', error.message);
+    }
+  }
+
+  memoryStore.set(key, { ...entry, expiresAt: Date.now() + lifetime });
+}
+
+// Run the fetcher once per key at a time and store its result
+function refresh(type, key, fetcher) {
+  const cacheKey = `${type}:${key}`;
+  if (inflight.has(cacheKey)) return inflight.get(cacheKey);
+
+  const promise = (async () => {
+    try {
+      const value = await fetcher();
+      await writeEntry(cacheKey, { value, fetchedAt: Date.now() }, CACHE_TTL[type] + STALE_WINDOW[type]);
+      lastFailures.delete(cacheKey);
+      feeds[type] = { ...feeds[type], lastSuccessAt: Date.now(), lastKey: key };
+      return value;
+    } catch (error) {
+      lastFailures.set(cacheKey, Date.now());
+      feeds[type] = { ...feeds[type], lastFailureAt: Date.now(), lastError: error.message };
+      throw error;
+    } finally {
+      inflight.delete(cacheKey);
+    }
+  })();
+
+  inflight.set(cacheKey, promise);
+  return promise;
+}
+
+// Return { value, fetchedAt, stale } for type/key, fetching it when missing
+// or past its TTL. stale is true when the value is past its TTL and the
+// upstream has failed since it was fetched, i.e. the last good value is
+// standing in for data we could not get.
+async function cachedEntry(type, key, fetcher) {
+  if (!CACHE_TTL[type]) throw new Error(`Unknown cache type: ${type}`);
+
+  const cacheKey = `${type}:${key}`;
+  const entry = await readEntry(cacheKey);
+  if (!entry) {
+    const value = await refresh(type, key, fetcher);
+    return { value, fetchedAt: Date.now(), stale: false };
+  }
+
+  const expired = Date.now() - entry.fetchedAt >= CACHE_TTL[type];
+  const stale = expired && (lastFailures.get(cacheKey) || 0) > entry.fetchedAt;
+  if (expired) {
+    refresh(type, key, fetcher).catch((error) => {
+      console.error(`Background refresh of ${type}:${key} failed:`, error.message);
+    });
+  }
+
+  return { value: entry.value, fetchedAt: entry.fetchedAt, stale };
+}
+
+// Return the cached value for type/key, fetching it when missing or stale
+async function cached(type, key, fetcher) {
+  return (await cachedEntry(type, key, fetcher)).value;
+}
+
+// Backend in use and, per data type, when the upstream last succeeded and failed
+function cacheStatus() {
+  const toIso = (time) => (time ? new Date(time).toISOString() : null);
+
+  return {
+    backend: getRedisClient() ? 'redis' : 'memory',
+    redis: {
+      configured: Boolean(redisClient),
+      connected: Boolean(getRedisClient())
+    },
+    memoryEntries: memoryStore.size,
+    inflight: inflight.size,
+    feeds: Object.fromEntries(Object.keys(CACHE_TTL).map((type) => {
+      const feed = feeds[type] || {};
+      return [type, {
+        lastSuccessAt: toIso(feed.lastSuccessAt),
+        lastKey: feed.lastKey || null,
+        lastFailureAt: toIso(feed.lastFailureAt),
+        lastError: feed.lastError || null
+      }];
+    }))
+  };
+}
+
+// Drop expired in-memory entries so the fallback store stays bounded
+setInterval(() => {
+  const now = Date.now();
+  memoryStore.forEach((entry, key) => {
+    if (entry.expiresAt <= now) memoryStore.delete(key);
+  });
+}, 60 * 1000).unref();
+
+module.exports = {
+  CACHE_TTL,
+  connectRedis,
+  getRedisClient,
+  cachedEntry,
+  cached,
+  cacheStatus
+};
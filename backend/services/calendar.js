@@ -0,0 +1,250 @@
+// NSE/BSE trading calendar: session times, holidays and index expiry rules.
+//
+// All times are IST. Holidays are the exchange trading holidays below plus
+// any dates in MARKET_HOLIDAYS (comma-separated YYYY-MM-DD). Weekly index
+// options expire every Tuesday on NSE and Thursday on BSE, monthly ones on
+// the last such weekday of the month; an expiry that falls on a holiday
+// moves to the previous trading day.
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minutes after midnight IST
+const SESSION = {
+  preOpen: 9 * 60,
+  open: 9 * 60 + 15,
+  close: 15 * 60 + 30,
+  postClose: 16 * 60
+};
+
+const EXPIRY_WEEKDAY = { NSE: 2, BSE: 4 };
+
+// Exchange trading holidays (equity and F&O segments)
+const HOLIDAYS = {
+  '2025-02-26': 'Mahashivratri',
+  '2025-03-14': 'Holi',
+  '2025-03-31': 'Id-Ul-Fitr',
+  '2025-04-10': 'Shri Mahavir Jayanti',
+  '2025-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+  '2025-04-18': 'Good Friday',
+  '2025-05-01': 'Maharashtra Day',
+  '2025-08-15': 'Independence Day',
+  '2025-08-27': 'Ganesh Chaturthi',
+  '2025-10-02': 'Mahatma Gandhi Jayanti / Dussehra',
+  '2025-10-21': 'Diwali Laxmi Pujan',
+  '2025-10-22': 'Diwali Balipratipada',
+  '2025-11-05': 'Prakash Gurpurb Sri Guru Nanak Dev',
+  '2025-12-25': 'Christmas',
+  '2026-01-26': 'Republic Day',
+  '2026-03-03': 'Holi',
+  '2026-03-26': 'Shri Ram Navami',
+  '2026-03-31': 'Shri Mahavir Jayanti',
+  '2026-04-03': 'Good Friday',
+  '2026-04-14': 'Dr. Baba Saheb Ambedkar Jayanti',
+  '2026-05-01': 'Maharashtra Day',
+  '2026-05-28': 'Bakri Id',
+  '2026-06-26': 'Muharram',
+  '2026-09-14': 'Ganesh Chaturthi',
+  '2026-10-02': 'Mahatma Gandhi Jayanti',
+  '2026-10-20': 'Dussehra',
+  '2026-11-10': 'Diwali Balipratipada',
+  '2026-11-24': 'Prakash Gurpurb Sri Guru Nanak Dev',
+  '2026-12-25': 'Christmas'
+};
+
+(process.env.MARKET_HOLIDAYS || '').split(',').map((date) => date.trim()).filter(Boolean).forEach((date) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(date)) HOLIDAYS[date] = HOLIDAYS[date] || 'Market holiday';
+});
+
+// IST calendar date and minutes after midnight for a timestamp
+function istClock(timestamp) {
+  const shifted = new Date(timestamp + IST_OFFSET_MS);
+  return {
+    date: shifted.toISOString().slice(0, 10),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+  };
+}
+
+// Timestamp of a given IST date and minutes after midnight
+function istTime(date, minutes) {
+  return Date.parse(`${date}T00:00:00+05:30`) + minutes * 60 * 1000;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function getHoliday(date) {
+  return HOLIDAYS[date] || null;
+}
+
+// Holidays in a year, oldest first
+function listHolidays(year) {
+  return Object.entries(HOLIDAYS)
+    .filter(([date]) => date.startsWith(`${year}-`))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, name]) => ({ date, name }));
+}
+
+function isTradingDay(date) {
+  const day = weekday(date);
+  return day !== 0 && day !== 6 && !HOLIDAYS[date];
+}
+
+function nextTradingDay(date) {
+  let next = addDays(date, 1);
+  while (!isTradingDay(next)) next = addDays(next, 1);
+  return next;
+}
+
+function previousTradingDay(date) {
+  let previous = addDays(date, -1);
+  while (!isTradingDay(previous)) previous = addDays(previous, -1);
+  return previous;
+}
+
+// Current session phase: pre_open, open, post_close or closed
+function getMarketStatus(now = Date.now()) {
+  const { date, minutes } = istClock(now);
+  const tradingDay = isTradingDay(date);
+
+  let phase = 'closed';
+  if (tradingDay && minutes >= SESSION.preOpen && minutes < SESSION.open) phase = 'pre_open';
+  else if (tradingDay && minutes >= SESSION.open && minutes < SESSION.close) phase = 'open';
+  else if (tradingDay && minutes >= SESSION.close && minutes < SESSION.postClose) phase = 'post_close';
+
+  const opensToday = tradingDay && minutes < SESSION.open;
+  const nextOpenDate = opensToday ? date : nextTradingDay(date);
+
+  return {
+    phase,
+    isOpen: phase === 'open',
+    isTradingDay: tradingDay,
+    holiday: getHoliday(date),
+    date,
+    session: tradingDay ? {
+      preOpen: new Date(istTime(date, SESSION.preOpen)).toISOString(),
+      open: new Date(istTime(date, SESSION.open)).toISOString(),
+      close: new Date(istTime(date, SESSION.close)).toISOString()
+    } : null,
+    nextOpen: phase === 'open' ? null : new Date(istTime(nextOpenDate, SESSION.open)).toISOString(),
+    nextClose: phase === 'open' ? new Date(istTime(date, SESSION.close)).toISOString() : null
+  };
+}
+
+// Open and close timestamps of the session on an IST date, or null on a
+// non-trading day
+function sessionTimes(date) {
+  if (!isTradingDay(date)) return null;
+  return { date, open: istTime(date, SESSION.open), close: istTime(date, SESSION.close) };
+}
+
+// The session in progress at `now`, or else the last one to have opened
+function latestSession(now = Date.now()) {
+  const { date, minutes } = istClock(now);
+  const today = isTradingDay(date) && minutes >= SESSION.open ? date : previousTradingDay(date);
+  return sessionTimes(today);
+}
+
+// The session `count` trading days before the latest one
+function sessionsBack(count, now = Date.now()) {
+  let { date } = latestSession(now);
+  for (let i = 0; i < count; i++) date = previousTradingDay(date);
+  return sessionTimes(date);
+}
+
+// Whether live data moves right now (pre-open through close)
+function isMarketActive(now = Date.now()) {
+  const { phase } = getMarketStatus(now);
+  return phase === 'pre_open' || phase === 'open';
+}
+
+function shiftForHolidays(date) {
+  return isTradingDay(date) ? date : previousTradingDay(date);
+}
+
+// Last given weekday of a month (1-12)
+function lastWeekdayOfMonth(year, month, day) {
+  let last = new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+  while (weekday(last) !== day) last = addDays(last, -1);
+  return last;
+}
+
+// Expiry dates from the calendar rules, starting with the first one that
+// has not expired (15:30 IST) at `now`
+function ruleExpiries(instrument, { count = 4, now = Date.now() } = {}) {
+  const day = EXPIRY_WEEKDAY[instrument.exchange];
+  if (!instrument.optionable || day === undefined) return [];
+
+  const { date: today } = istClock(now);
+  const expiries = [];
+  const notExpired = (date) => istTime(date, SESSION.close) > now;
+
+  if (instrument.expiryCycle === 'weekly') {
+    let candidate = today;
+    while (weekday(candidate) !== day) candidate = addDays(candidate, 1);
+    // A holiday shift can pull this week's expiry into the past
+    candidate = addDays(candidate, -7);
+    while (expiries.length < count) {
+      const expiry = shiftForHolidays(candidate);
+      if (notExpired(expiry)) expiries.push(expiry);
+      candidate = addDays(candidate, 7);
+    }
+  } else {
+    let [year, month] = today.split('-').map(Number);
+    while (expiries.length < count) {
+      const expiry = shiftForHolidays(lastWeekdayOfMonth(year, month, day));
+      if (notExpired(expiry)) expiries.push(expiry);
+      if (++month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+  }
+
+  return expiries;
+}
+
+// Trading days from today until date (inclusive), counting today only if still open
+function tradingDaysUntil(date, now = Date.now()) {
+  const { date: today, minutes } = istClock(now);
+  let count = isTradingDay(today) && minutes < SESSION.close && today <= date ? 1 : 0;
+  for (let day = addDays(today, 1); day <= date; day = addDays(day, 1)) {
+    if (isTradingDay(day)) count++;
+  }
+  return count;
+}
+
+// Countdown to 15:30 IST on an expiry date
+function expiryCountdown(date, now = Date.now()) {
+  const expiresAt = istTime(date, SESSION.close);
+  const msLeft = Math.max(expiresAt - now, 0);
+
+  return {
+    expiresAt: new Date(expiresAt).toISOString(),
+    msLeft,
+    daysLeft: Math.floor(msLeft / DAY_MS),
+    hoursLeft: Math.floor((msLeft % DAY_MS) / (60 * 60 * 1000)),
+    minutesLeft: Math.floor((msLeft % (60 * 60 * 1000)) / (60 * 1000)),
+    tradingDaysLeft: tradingDaysUntil(date, now)
+  };
+}
+
+module.exports = {
+  getHoliday,
+  listHolidays,
+  isTradingDay,
+  nextTradingDay,
+  getMarketStatus,
+  isMarketActive,
+  istClock,
+  sessionTimes,
+  latestSession,
+  sessionsBack,
+  ruleExpiries,
+  expiryCountdown
+};
@@ -0,0 +1,206 @@
+const { cachedEntry } = require('./cache');
+const { getInstrument } = require('./instruments');
+const { getProvider } = require('./providers');
+const { sessionTimes, istClock, latestSession, sessionsBack } = require('./calendar');
+
+// OHLCV candles built from incoming prices.
+//
+// Prices (polled quotes and live feed ticks) are folded into one-minute
+// bars per instrument; longer intervals are aggregated from those on
+// demand. Bars are aligned to the session open (09:15 IST), so hourly bars
+// run 09:15, 10:15, ... and the last one is the short 15:15-15:30 bar.
+// History comes from the provider's intraday charts (Dhan's
+// /v2/charts/intraday), fetched when an instrument is first asked for and
+// kept for HISTORY_SESSIONS sessions in memory.
+
+const MINUTE_MS = 60 * 1000;
+const INTERVALS = { '1m': 1, '3m': 3, '5m': 5, '15m': 15, '1h': 60 };
+const HISTORY_SESSIONS = 5;
+const RETENTION_MS = 8 * 24 * 60 * MINUTE_MS;
+
+// key -> { bars: Map(minute start -> bar), volumeDate, lastVolume, lastBarAt, historyLoadedAt }
+const series = new Map();
+
+function seriesFor(key) {
+  if (!series.has(key)) {
+    series.set(key, { bars: new Map(), volumeDate: null, lastVolume: null, lastBarAt: null, historyLoadedAt: null });
+  }
+  return series.get(key);
+}
+
+// Start of the interval bucket containing a timestamp, or null outside
+// the session
+function bucketStart(time, minutes) {
+  const session = sessionTimes(istClock(time).date);
+  if (!session || time < session.open || time >= session.close) return null;
+
+  const size = minutes * MINUTE_MS;
+  return session.open + Math.floor((time - session.open) / size) * size;
+}
+
+function bucketEnd(start, minutes) {
+  const session = sessionTimes(istClock(start).date);
+  return Math.min(start + minutes * MINUTE_MS, session.close);
+}
+
+function prune(entry, now) {
+  entry.bars.forEach((bar, time) => {
+    if (time < now - RETENTION_MS) entry.bars.delete(time);
+  });
+}
+
+// Fold a price into the instrument's current one-minute bar. volume is the
+// day's cumulative traded volume when known. Returns the bar, or null for
+// prices outside the session.
+function recordPrice(key, { price, time, volume }) {
+  const minute = bucketStart(time, 1);
+  if (minute === null || !(price > 0)) return null;
+
+  const entry = seriesFor(key);
+  const { date } = istClock(time);
+
+  let traded = 0;
+  if (Number.isFinite(volume)) {
+    if (entry.volumeDate === date && volume >= entry.lastVolume) traded = volume - entry.lastVolume;
+    entry.volumeDate = date;
+    entry.lastVolume = volume;
+  }
+
+  entry.lastBarAt = Math.max(entry.lastBarAt || 0, minute);
+  const bar = entry.bars.get(minute);
+  if (!bar) {
+    entry.bars.set(minute, { time: minute, open: price, high: price, low: price, close: price, volume: traded });
+    if (entry.bars.size % 500 === 0) prune(entry, time);
+  } else {
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    bar.close = price;
+    bar.volume += traded;
+  }
+
+  return entry.bars.get(minute);
+}
+
+// Record a quote (as returned by fetchQuotes or streamed from the feed),
+// timed by its last trade
+function recordQuote(quote) {
+  const time = Date.parse(quote.lastTradeTime || quote.timestamp);
+  if (Number.isNaN(time)) return null;
+
+  const instrument = getInstrument(quote.symbol);
+  return recordPrice(quote.symbol, {
+    price: quote.price,
+    time,
+    volume: instrument?.instrumentType === 'INDEX' ? undefined : quote.volume
+  });
+}
+
+// Merge provider history into the series. Minutes that had finished when
+// the history was fetched take the exchange's bar; the rest keep the bars
+// built from live prices.
+function mergeHistory(key, candles, fetchedAt) {
+  const entry = seriesFor(key);
+
+  candles.forEach((candle) => {
+    entry.lastBarAt = Math.max(entry.lastBarAt || 0, candle.time);
+    if (candle.time + MINUTE_MS > fetchedAt && entry.bars.has(candle.time)) return;
+    entry.bars.set(candle.time, { ...candle });
+  });
+}
+
+// Fetch intraday history for an instrument, at most once a minute
+async function loadHistory(key, now = Date.now()) {
+  const instrument = getInstrument(key);
+  if (!instrument) throw new Error(`Unknown symbol: ${key}`);
+
+  const from = sessionsBack(HISTORY_SESSIONS - 1, now).open;
+  const { value, fetchedAt } = await cachedEntry('candles', key, () => (
+    getProvider().fetchIntradayCandles(instrument, { from, to: now })
+  ));
+  mergeHistory(key, value, fetchedAt);
+  seriesFor(key).historyLoadedAt = now;
+}
+
+function hasHistory(key) {
+  return Boolean(series.get(key)?.historyLoadedAt);
+}
+
+// Aggregate one-minute bars into an interval between two timestamps.
+// A bar is closed once its bucket has ended.
+function aggregate(key, interval, { from, to, now = Date.now() }) {
+  const minutes = INTERVALS[interval];
+  const bars = [...seriesFor(key).bars.values()]
+    .filter((bar) => bar.time >= from && bar.time <= to)
+    .sort((a, b) => a.time - b.time);
+
+  const candles = [];
+  bars.forEach((bar) => {
+    const start = bucketStart(bar.time, minutes);
+    const last = candles[candles.length - 1];
+    if (last && last.start === start) {
+      last.high = Math.max(last.high, bar.high);
+      last.low = Math.min(last.low, bar.low);
+      last.close = bar.close;
+      last.volume += bar.volume;
+    } else {
+      candles.push({ start, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume });
+    }
+  });
+
+  return candles.map(({ start, ...candle }) => ({
+    time: new Date(start).toISOString(),
+    ...candle,
+    closed: bucketEnd(start, minutes) <= now
+  }));
+}
+
+// Candles for an instrument, loading history first. from defaults to the
+// open of the latest session.
+async function getCandles(key, interval, { from, to, now = Date.now() } = {}) {
+  await loadHistory(key, now);
+  return aggregate(key, interval, {
+    from: from ?? latestSession(now).open,
+    to: to ?? now,
+    now
+  });
+}
+
+// The interval candle containing `time`, from bars recorded so far
+function candleAt(key, interval, time, now = Date.now()) {
+  const start = bucketStart(time, INTERVALS[interval]);
+  if (start === null) return null;
+
+  const [candle] = aggregate(key, interval, { from: start, to: start + INTERVALS[interval] * MINUTE_MS - 1, now });
+  return candle || null;
+}
+
+// The interval candle holding the most recent bar, or null before any
+function latestCandle(key, interval, now = Date.now()) {
+  const lastBarAt = series.get(key)?.lastBarAt;
+  return lastBarAt ? candleAt(key, interval, lastBarAt, now) : null;
+}
+
+// Close of the last one-minute bar before `time` in that day's session,
+// loading history first, or null without one (e.g. once the day is older
+// than the history kept)
+async function closeAsOf(key, time, now = Date.now()) {
+  await loadHistory(key, now);
+  const session = sessionTimes(istClock(time - 1).date);
+  if (!session) return null;
+
+  const last = [...seriesFor(key).bars.values()]
+    .filter((bar) => bar.time >= session.open && bar.time < Math.min(time, session.close))
+    .reduce((latest, bar) => (!latest || bar.time > latest.time ? bar : latest), null);
+  return last ? last.close : null;
+}
+
+module.exports = {
+  INTERVALS,
+  recordQuote,
+  loadHistory,
+  hasHistory,
+  getCandles,
+  candleAt,
+  latestCandle,
+  closeAsOf
+};
@@ -0,0 +1,63 @@
+// Estimated statutory and broker charges for a round trip, so P&L can be
+// shown net. Rates are fractions of turnover (NSE/BSE, revised October 2024);
+// brokerage is a flat fee per executed order, set with BROKERAGE_PER_ORDER.
+
+const BROKERAGE_PER_ORDER = parseFloat(process.env.BROKERAGE_PER_ORDER || '20');
+const GST_RATE = 0.18;
+const SEBI_FEE_RATE = 10 / 1e7; // ₹10 per crore
+
+const SEGMENT_RATES = {
+  options: {
+    sttSell: 0.001,
+    stampBuy: 0.00003,
+    exchange: { NSE: 0.0003503, BSE: 0.000325 },
+    brokerage: true
+  },
+  futures: {
+    sttSell: 0.0002,
+    stampBuy: 0.00002,
+    exchange: { NSE: 0.0000173, BSE: 0 },
+    brokerage: true
+  },
+  equity_intraday: {
+    sttSell: 0.00025,
+    stampBuy: 0.00003,
+    exchange: { NSE: 0.0000297, BSE: 0.0000375 },
+    brokerage: true
+  },
+  equity_delivery: {
+    sttBuy: 0.001,
+    sttSell: 0.001,
+    stampBuy: 0.00015,
+    exchange: { NSE: 0.0000297, BSE: 0.0000375 },
+    brokerage: false
+  }
+};
+
+// Charges on one buy and one sell of the given rupee values. orders is the
+// number of executed orders brokerage is paid on (1 for a single fill).
+function estimateCharges({ segment, exchange = 'NSE', buyValue, sellValue, orders = 2 }) {
+  const rates = SEGMENT_RATES[segment];
+  const turnover = buyValue + sellValue;
+
+  const brokerage = rates.brokerage ? BROKERAGE_PER_ORDER * orders : 0;
+  const stt = (rates.sttBuy || 0) * buyValue + rates.sttSell * sellValue;
+  const exchangeCharges = (rates.exchange[exchange] ?? rates.exchange.NSE) * turnover;
+  const sebiFees = SEBI_FEE_RATE * turnover;
+  const gst = GST_RATE * (brokerage + exchangeCharges + sebiFees);
+  const stampDuty = rates.stampBuy * buyValue;
+
+  return {
+    brokerage,
+    stt,
+    exchangeCharges,
+    sebiFees,
+    gst,
+    stampDuty,
+    total: brokerage + stt + exchangeCharges + sebiFees + gst + stampDuty
+  };
+}
+
+module.exports = {
+  estimateCharges
+};
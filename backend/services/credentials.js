@@ -0,0 +1,149 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+// Dhan API credentials.
+//
+// The access token is a short-lived JWT whose exp claim says when Dhan will
+// start rejecting it. It starts out as DHAN_ACCESS_TOKEN and can be replaced
+// without a restart, either through the admin endpoint or by writing a new
+// token to DHAN_TOKEN_FILE, which is watched for changes. The file holds the
+// raw token, optionally followed by whitespace and anything else (ignored).
+
+const TOKEN_FILE = process.env.DHAN_TOKEN_FILE;
+const FILE_POLL_INTERVAL = 5000;
+const EXPIRY_WARNING_MS = 60 * 60 * 1000;
+
+// Emits 'change' (status) whenever a new token is installed
+const credentialEvents = new EventEmitter();
+
+let credentials = {
+  clientId: process.env.DHAN_CLIENT_ID || null,
+  accessToken: null,
+  expiresAt: null,
+  source: null,
+  loadedAt: null
+};
+let expiryTimer = null;
+
+// Expiry (epoch ms) and client id from a Dhan token, or null if it is not a JWT
+function decodeToken(token) {
+  const payload = jwt.decode(token);
+  if (!payload || typeof payload !== 'object') return null;
+
+  return {
+    expiresAt: payload.exp ? payload.exp * 1000 : null,
+    clientId: payload.dhanClientId ? String(payload.dhanClientId) : null
+  };
+}
+
+function scheduleExpiryWarning() {
+  clearTimeout(expiryTimer);
+  const { expiresAt } = credentials;
+  if (!expiresAt) return;
+
+  const warn = () => console.warn(`⚠️ Dhan access token expired at ${new Date(expiresAt).toISOString()}`);
+  const msLeft = expiresAt - Date.now();
+  if (msLeft <= 0) return warn();
+
+  // setTimeout cannot wait longer than about 24.8 days
+  expiryTimer = setTimeout(warn, Math.min(msLeft, 2 ** 31 - 1));
+  expiryTimer.unref();
+}
+
+function installToken(accessToken, { expiresAt, clientId }, source) {
+  credentials = { clientId, accessToken, expiresAt, source, loadedAt: Date.now() };
+  scheduleExpiryWarning();
+
+  const status = tokenStatus();
+  if (status.expiresAt && !status.expired && status.expiresInMs < EXPIRY_WARNING_MS) {
+    console.warn(`⚠️ Dhan access token from ${source} expires at ${status.expiresAt}`);
+  }
+  credentialEvents.emit('change', status);
+  return status;
+}
+
+// Install a replacement access token. Returns { status } or { error, status }
+// for a token that is malformed, already expired or issued to another client.
+function setAccessToken(token, { clientId, source = 'admin' } = {}) {
+  const accessToken = typeof token === 'string' ? token.trim() : '';
+  const decoded = accessToken ? decodeToken(accessToken) : null;
+  if (!decoded) {
+    return { error: 'accessToken must be a Dhan JWT', status: 400 };
+  }
+  if (decoded.expiresAt && decoded.expiresAt <= Date.now()) {
+    return { error: `Token expired at ${new Date(decoded.expiresAt).toISOString()}`, status: 400 };
+  }
+
+  // A token for a different client is only accepted with that client id
+  const nextClientId = clientId ? String(clientId) : credentials.clientId || decoded.clientId;
+  if (decoded.clientId && nextClientId !== decoded.clientId) {
+    return { error: `Token was issued to client ${decoded.clientId}`, status: 400 };
+  }
+
+  return { status: installToken(accessToken, { expiresAt: decoded.expiresAt, clientId: nextClientId }, source) };
+}
+
+function getCredentials() {
+  return credentials;
+}
+
+// Token state without the token itself
+function tokenStatus(now = Date.now()) {
+  const { clientId, accessToken, expiresAt, source, loadedAt } = credentials;
+  return {
+    configured: Boolean(accessToken),
+    clientId,
+    source,
+    loadedAt: loadedAt ? new Date(loadedAt).toISOString() : null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    expiresInMs: expiresAt ? expiresAt - now : null,
+    expired: expiresAt ? expiresAt <= now : false
+  };
+}
+
+function loadTokenFile() {
+  let contents;
+  try {
+    contents = fs.readFileSync(TOKEN_FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Error reading Dhan token file:', error.message);
+    return;
+  }
+
+  const [token] = contents.trim().split(/\s+/);
+  if (!token || token === credentials.accessToken) return;
+
+  const { error } = setAccessToken(token, { source: 'file' });
+  if (error) {
+    console.error(`Ignoring Dhan token file ${TOKEN_FILE}:`, error);
+    return;
+  }
+  console.log(`✅ Dhan access token loaded from ${TOKEN_FILE}`);
+}
+
+// Start from the environment, let DHAN_TOKEN_FILE override it and keep
+// watching the file for new tokens. The environment token is taken as is,
+// even if expired, so health checks can report it.
+function initCredentials() {
+  const envToken = (process.env.DHAN_ACCESS_TOKEN || '').trim();
+  if (envToken) {
+    const decoded = decodeToken(envToken) || { expiresAt: null, clientId: null };
+    installToken(envToken, { expiresAt: decoded.expiresAt, clientId: credentials.clientId || decoded.clientId }, 'env');
+  }
+
+  if (TOKEN_FILE) {
+    loadTokenFile();
+    fs.watchFile(TOKEN_FILE, { interval: FILE_POLL_INTERVAL, persistent: false }, loadTokenFile);
+  }
+}
+
+initCredentials();
+
+module.exports = {
+  credentialEvents,
+  decodeToken,
+  setAccessToken,
+  getCredentials,
+  tokenStatus
+};
@@ -0,0 +1,124 @@
+const axios = require('axios');
+const { credentialEvents, getCredentials, tokenStatus } = require('./credentials');
+
+// Dhan API configuration
+// DHAN_BASE_URL can point at a local mock server for development and testing.
+const DHAN_BASE_URL = process.env.DHAN_BASE_URL || 'https://api.dhan.co';
+
+// Dhan error codes meaning the token or client id was not accepted
+const AUTH_ERROR_CODES = ['DH-901', 'DH-902', 'DH-903'];
+
+const dhanApi = axios.create({
+  baseURL: DHAN_BASE_URL,
+  headers: { 'Content-Type': 'application/json' },
+  timeout: 10000
+});
+
+// Credentials are read per request so a reloaded token applies immediately
+dhanApi.interceptors.request.use((config) => {
+  const { clientId, accessToken } = getCredentials();
+  config.headers['Authorization'] = `Bearer ${accessToken}`;
+  config.headers['access-token'] = accessToken;
+  config.headers['client-id'] = clientId;
+  return config;
+});
+
+// Outcome of the latest Dhan calls, for the health check
+const upstream = {
+  lastSuccessAt: null,
+  lastFailureAt: null,
+  lastError: null
+};
+
+// A fresh token clears an earlier rejection
+credentialEvents.on('change', () => {
+  if (upstream.lastError?.kind !== 'auth') return;
+  upstream.lastError = null;
+  upstream.lastFailureAt = null;
+});
+
+// Errors carry kind: 'auth' (token or client id rejected), 'network' (Dhan
+// unreachable or timed out) or 'upstream' (any other Dhan error), and the
+// HTTP status when there was a response
+function dhanError(kind, message, status = null) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.status = status;
+  return error;
+}
+
+function classifyError(error) {
+  const { response } = error;
+  if (!response) return dhanError('network', `Dhan API unreachable: ${error.message}`);
+
+  const body = response.data || {};
+  const code = body.errorCode || body.remarks?.error_code;
+  const message = body.errorMessage || body.remarks?.error_message || error.message;
+  if (response.status === 401 || response.status === 403 || AUTH_ERROR_CODES.includes(code)) {
+    return dhanError('auth', `Dhan rejected the access token: ${message}`, response.status);
+  }
+  return dhanError('upstream', `Dhan API error: ${message}`, response.status);
+}
+
+function recordFailure(error) {
+  upstream.lastFailureAt = Date.now();
+  upstream.lastError = { kind: error.kind, message: error.message, at: new Date().toISOString() };
+  return error;
+}
+
+// POST to a Dhan v2 endpoint and unwrap the { status, data } envelope
+// (the charts endpoints answer without one). Fails fast without calling Dhan when the token is missing or expired.
+async function dhanPost(path, body) {
+  const token = tokenStatus();
+  if (!token.configured || token.expired) {
+    throw dhanError('auth', token.configured
+      ? `Dhan access token expired at ${token.expiresAt}`
+      : 'Dhan access token is not configured');
+  }
+
+  let response;
+  try {
+    response = await dhanApi.post(path, body);
+  } catch (error) {
+    throw recordFailure(classifyError(error));
+  }
+
+  const payload = response.data || {};
+  if (payload.status && payload.status !== 'success') {
+    const code = payload.remarks?.error_code || payload.errorCode;
+    const message = payload.remarks?.error_message || payload.errorMessage || payload.status;
+    throw recordFailure(AUTH_ERROR_CODES.includes(code)
+      ? dhanError('auth', `Dhan rejected the access token: ${message}`, response.status)
+      : dhanError('upstream', `Dhan API error: ${message}`, response.status));
+  }
+
+  upstream.lastSuccessAt = Date.now();
+  return 'data' in payload ? payload.data : payload;
+}
+
+// Reachability and token state for the health check. reachable is null
+// until Dhan has been called, and false when the latest call failed at
+// the network level.
+function dhanStatus(now = Date.now()) {
+  const { lastSuccessAt, lastFailureAt, lastError } = upstream;
+  const lastCallFailed = lastFailureAt !== null && lastFailureAt > (lastSuccessAt || 0);
+
+  return {
+    baseUrl: DHAN_BASE_URL,
+    reachable: lastSuccessAt === null && lastFailureAt === null
+      ? null
+      : !(lastCallFailed && lastError?.kind === 'network'),
+    authenticated: lastCallFailed && lastError?.kind === 'auth' ? false : (lastSuccessAt ? true : null),
+    lastSuccessAt: lastSuccessAt ? new Date(lastSuccessAt).toISOString() : null,
+    lastFailureAt: lastFailureAt ? new Date(lastFailureAt).toISOString() : null,
+    lastError,
+    token: tokenStatus(now)
+  };
+}
+
+module.exports = {
+  DHAN_BASE_URL,
+  dhanApi,
+  dhanPost,
+  dhanStatus
+};
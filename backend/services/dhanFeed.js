@@ -0,0 +1,421 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { credentialEvents, getCredentials, tokenStatus } = require('./credentials');
+
+// Client for Dhan's live market feed (WebSocket, API v2).
+//
+// Instruments are subscribed in ticker, quote or full mode with JSON
+// requests of at most 100 instruments each. Dhan answers with binary
+// packets, little-endian, each starting with an 8-byte header:
+//
+//   0     uint8   response code (packet type)
+//   1-2   int16   packet length
+//   3     uint8   exchange segment
+//   4-7   int32   security id
+//
+// Parsed packets are emitted as 'tick' events. The client reconnects with
+// backoff and resubscribes everything on each new connection. When Dhan
+// disconnects us for an authentication reason it waits for a new token
+// instead of retrying. DHAN_FEED_URL can point at a local WebSocket server
+// for development and testing.
+
+const FEED_URL = process.env.DHAN_FEED_URL || 'wss://api-feed.dhan.co';
+const MAX_INSTRUMENTS_PER_REQUEST = 100;
+const MAX_INSTRUMENTS = 5000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+const SEGMENTS = {
+  0: 'IDX_I',
+  1: 'NSE_EQ',
+  2: 'NSE_FNO',
+  3: 'NSE_CURRENCY',
+  4: 'BSE_EQ',
+  5: 'MCX_COMM',
+  7: 'BSE_CURRENCY',
+  8: 'BSE_FNO'
+};
+
+const REQUEST_CODES = {
+  ticker: { subscribe: 15, unsubscribe: 16 },
+  quote: { subscribe: 17, unsubscribe: 18 },
+  full: { subscribe: 21, unsubscribe: 22 }
+};
+const DISCONNECT_REQUEST = 12;
+
+const PACKETS = {
+  INDEX: 1,
+  TICKER: 2,
+  QUOTE: 4,
+  OI: 5,
+  PREV_CLOSE: 6,
+  MARKET_STATUS: 7,
+  FULL: 8,
+  DISCONNECT: 50
+};
+
+const PACKET_SIZES = {
+  [PACKETS.INDEX]: 16,
+  [PACKETS.TICKER]: 16,
+  [PACKETS.QUOTE]: 50,
+  [PACKETS.OI]: 12,
+  [PACKETS.PREV_CLOSE]: 16,
+  [PACKETS.MARKET_STATUS]: 8,
+  [PACKETS.FULL]: 162,
+  [PACKETS.DISCONNECT]: 10
+};
+
+// Disconnect reasons that a reconnect with the same token cannot fix
+const AUTH_DISCONNECT_REASONS = {
+  806: 'Data APIs not subscribed',
+  807: 'Access token expired',
+  808: 'Authentication failed',
+  809: 'Access token invalid',
+  810: 'Client id invalid'
+};
+
+// Epoch seconds from the feed as an ISO string, or null when unset
+function feedTime(seconds) {
+  return seconds > 0 ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Prices are float32 on the wire; round away the float noise
+function readPrice(buffer, offset) {
+  return Math.round(buffer.readFloatLE(offset) * 100) / 100;
+}
+
+// Five levels of bid/ask depth from a full packet, 20 bytes per level
+function parseDepth(buffer, offset) {
+  const depth = [];
+  for (let level = 0; level < 5; level++) {
+    const at = offset + level * 20;
+    depth.push({
+      bidQty: buffer.readInt32LE(at),
+      askQty: buffer.readInt32LE(at + 4),
+      bidOrders: buffer.readInt16LE(at + 8),
+      askOrders: buffer.readInt16LE(at + 10),
+      bid: readPrice(buffer, at + 12),
+      ask: readPrice(buffer, at + 16)
+    });
+  }
+  return depth;
+}
+
+// Parse one packet starting at offset. Returns the tick, or null for a
+// packet type we do not know or one that is cut short.
+function parsePacket(buffer, offset = 0) {
+  const code = buffer.readUInt8(offset);
+  const size = PACKET_SIZES[code];
+  if (!size || buffer.length - offset < size) return null;
+
+  const packet = buffer.subarray(offset, offset + size);
+  const tick = {
+    segment: SEGMENTS[packet.readUInt8(3)] || String(packet.readUInt8(3)),
+    securityId: String(packet.readInt32LE(4))
+  };
+
+  switch (code) {
+    case PACKETS.INDEX:
+    case PACKETS.TICKER:
+      return {
+        type: 'ticker',
+        ...tick,
+        ltp: readPrice(packet, 8),
+        lastTradeTime: feedTime(packet.readInt32LE(12))
+      };
+    case PACKETS.QUOTE:
+      return {
+        type: 'quote',
+        ...tick,
+        ltp: readPrice(packet, 8),
+        lastTradeQty: packet.readInt16LE(12),
+        lastTradeTime: feedTime(packet.readInt32LE(14)),
+        averagePrice: readPrice(packet, 18),
+        volume: packet.readInt32LE(22),
+        totalSellQty: packet.readInt32LE(26),
+        totalBuyQty: packet.readInt32LE(30),
+        open: readPrice(packet, 34),
+        close: readPrice(packet, 38),
+        high: readPrice(packet, 42),
+        low: readPrice(packet, 46)
+      };
+    case PACKETS.OI:
+      return { type: 'oi', ...tick, oi: packet.readInt32LE(8) };
+    case PACKETS.PREV_CLOSE:
+      return {
+        type: 'prevClose',
+        ...tick,
+        prevClose: readPrice(packet, 8),
+        previousOi: packet.readInt32LE(12)
+      };
+    case PACKETS.MARKET_STATUS:
+      return { type: 'marketStatus', ...tick };
+    case PACKETS.FULL:
+      return {
+        type: 'full',
+        ...tick,
+        ltp: readPrice(packet, 8),
+        lastTradeQty: packet.readInt16LE(12),
+        lastTradeTime: feedTime(packet.readInt32LE(14)),
+        averagePrice: readPrice(packet, 18),
+        volume: packet.readInt32LE(22),
+        totalSellQty: packet.readInt32LE(26),
+        totalBuyQty: packet.readInt32LE(30),
+        oi: packet.readInt32LE(34),
+        highOi: packet.readInt32LE(38),
+        lowOi: packet.readInt32LE(42),
+        open: readPrice(packet, 46),
+        close: readPrice(packet, 50),
+        high: readPrice(packet, 54),
+        low: readPrice(packet, 58),
+        depth: parseDepth(packet, 62)
+      };
+    case PACKETS.DISCONNECT:
+      return { type: 'disconnect', ...tick, reason: packet.readInt16LE(8) };
+    default:
+      return null;
+  }
+}
+
+// Parse a WebSocket message, which may hold several packets back to back.
+// Stops at the first packet it cannot size.
+function parseMessage(buffer) {
+  const ticks = [];
+  let offset = 0;
+
+  while (offset + 8 <= buffer.length) {
+    const code = buffer.readUInt8(offset);
+    const declared = buffer.readInt16LE(offset + 1);
+    const size = PACKET_SIZES[code] || declared;
+    if (!(size >= 8)) break;
+
+    const tick = parsePacket(buffer, offset);
+    if (tick) ticks.push(tick);
+    offset += size;
+  }
+
+  return ticks;
+}
+
+// Subscription requests for instruments ({ segment, securityId }), split
+// into batches Dhan accepts
+function subscriptionRequests(instruments, mode, action) {
+  const requests = [];
+  for (let i = 0; i < instruments.length; i += MAX_INSTRUMENTS_PER_REQUEST) {
+    const batch = instruments.slice(i, i + MAX_INSTRUMENTS_PER_REQUEST);
+    requests.push({
+      RequestCode: REQUEST_CODES[mode][action],
+      InstrumentCount: batch.length,
+      InstrumentList: batch.map(({ segment, securityId }) => ({
+        ExchangeSegment: segment,
+        SecurityId: String(securityId)
+      }))
+    });
+  }
+  return requests;
+}
+
+function feedKey({ segment, securityId }) {
+  return `${segment}:${securityId}`;
+}
+
+// Emits 'tick' (tick, instrument) for every parsed packet, with the
+// subscribed instrument it belongs to, plus 'connected' and
+// 'disconnected' (reason)
+function createDhanFeed({ url = FEED_URL } = {}) {
+  const feed = new EventEmitter();
+  const subscriptions = new Map();
+  let socket = null;
+  let running = false;
+  let connected = false;
+  let reconnectTimer = null;
+  let reconnectDelay = RECONNECT_MIN_MS;
+  let waitingForToken = false;
+  let lastTickAt = null;
+  let lastDisconnect = null;
+
+  function send(requests) {
+    if (!connected) return;
+    requests.forEach((request) => socket.send(JSON.stringify(request)));
+  }
+
+  function resubscribe() {
+    Object.keys(REQUEST_CODES).forEach((mode) => {
+      const instruments = [...subscriptions.values()]
+        .filter((entry) => entry.mode === mode)
+        .map((entry) => entry.instrument);
+      send(subscriptionRequests(instruments, mode, 'subscribe'));
+    });
+  }
+
+  function scheduleReconnect() {
+    if (!running || reconnectTimer || waitingForToken) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+  }
+
+  function onDisconnectPacket({ reason }) {
+    lastDisconnect = { reason, message: AUTH_DISCONNECT_REASONS[reason] || 'Disconnected by Dhan', at: new Date().toISOString() };
+    if (AUTH_DISCONNECT_REASONS[reason]) {
+      waitingForToken = true;
+      console.error(`Dhan live feed disconnected: ${AUTH_DISCONNECT_REASONS[reason]}; waiting for a new access token`);
+    }
+  }
+
+  function connect() {
+    const { clientId, accessToken } = getCredentials();
+    const token = tokenStatus();
+    if (!token.configured || token.expired) {
+      waitingForToken = true;
+      console.error('Dhan live feed not started: access token missing or expired');
+      return;
+    }
+
+    const query = new URLSearchParams({ version: '2', token: accessToken, clientId: clientId || '', authType: '2' });
+    const ws = new WebSocket(`${url}?${query}`);
+    socket = ws;
+
+    ws.on('open', () => {
+      connected = true;
+      reconnectDelay = RECONNECT_MIN_MS;
+      console.log(`✅ Dhan live feed connected (${subscriptions.size} instruments)`);
+      resubscribe();
+      feed.emit('connected');
+    });
+
+    ws.on('message', (data, isBinary) => {
+      if (!isBinary) return;
+
+      parseMessage(Buffer.from(data)).forEach((tick) => {
+        if (tick.type === 'disconnect') return onDisconnectPacket(tick);
+
+        lastTickAt = Date.now();
+        const entry = subscriptions.get(feedKey(tick));
+        if (entry) feed.emit('tick', tick, entry.instrument);
+      });
+    });
+
+    ws.on('error', (error) => {
+      console.error('Dhan live feed error:', error.message);
+    });
+
+    ws.on('close', (code) => {
+      if (socket !== ws) return;
+      const wasConnected = connected;
+      socket = null;
+      connected = false;
+      if (wasConnected) feed.emit('disconnected', lastDisconnect?.message || `closed (${code})`);
+      scheduleReconnect();
+    });
+  }
+
+  // Set the mode for instruments, subscribing new ones and moving existing
+  // ones between modes. Instruments are registry entries (key, segment,
+  // securityId).
+  function subscribe(instruments, mode = 'quote') {
+    if (!REQUEST_CODES[mode]) throw new Error(`Unknown feed mode: ${mode}`);
+
+    const added = [];
+    const moved = new Map();
+    instruments.forEach((instrument) => {
+      const key = feedKey(instrument);
+      const existing = subscriptions.get(key);
+      if (existing?.mode === mode) return;
+      if (!existing && subscriptions.size >= MAX_INSTRUMENTS) {
+        console.error(`Dhan live feed is limited to ${MAX_INSTRUMENTS} instruments; skipping ${instrument.key}`);
+        return;
+      }
+
+      if (existing) moved.set(existing.mode, (moved.get(existing.mode) || []).concat(instrument));
+      subscriptions.set(key, { instrument, mode });
+      added.push(instrument);
+    });
+
+    moved.forEach((list, oldMode) => send(subscriptionRequests(list, oldMode, 'unsubscribe')));
+    send(subscriptionRequests(added, mode, 'subscribe'));
+  }
+
+  function unsubscribe(instruments) {
+    const byMode = new Map();
+    instruments.forEach((instrument) => {
+      const key = feedKey(instrument);
+      const existing = subscriptions.get(key);
+      if (!existing) return;
+
+      subscriptions.delete(key);
+      byMode.set(existing.mode, (byMode.get(existing.mode) || []).concat(instrument));
+    });
+
+    byMode.forEach((list, mode) => send(subscriptionRequests(list, mode, 'unsubscribe')));
+  }
+
+  // Replace the subscribed set with exactly these instruments in one mode
+  function setSubscriptions(instruments, mode = 'quote') {
+    const wanted = new Set(instruments.map(feedKey));
+    unsubscribe([...subscriptions.values()]
+      .filter(({ instrument }) => !wanted.has(feedKey(instrument)))
+      .map(({ instrument }) => instrument));
+    subscribe(instruments, mode);
+  }
+
+  // Whether ticks for an instrument are arriving live right now
+  function covers(instrument) {
+    return connected && subscriptions.has(feedKey(instrument));
+  }
+
+  function onCredentialsChange() {
+    if (!running || !waitingForToken) return;
+    waitingForToken = false;
+    reconnectDelay = RECONNECT_MIN_MS;
+    if (socket) socket.terminate();
+    else connect();
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    credentialEvents.on('change', onCredentialsChange);
+    connect();
+  }
+
+  function stop() {
+    running = false;
+    credentialEvents.off('change', onCredentialsChange);
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (socket && connected) socket.send(JSON.stringify({ RequestCode: DISCONNECT_REQUEST }));
+    if (socket) socket.close();
+  }
+
+  function status() {
+    return {
+      url,
+      connected,
+      waitingForToken,
+      instruments: subscriptions.size,
+      lastTickAt: lastTickAt ? new Date(lastTickAt).toISOString() : null,
+      lastDisconnect
+    };
+  }
+
+  return Object.assign(feed, {
+    start,
+    stop,
+    subscribe,
+    unsubscribe,
+    setSubscriptions,
+    covers,
+    status
+  });
+}
+
+module.exports = {
+  PACKETS,
+  parsePacket,
+  parseMessage,
+  subscriptionRequests,
+  createDhanFeed
+};
@@ -0,0 +1,147 @@
+const { erf } = require('mathjs');
+
+// Black-Scholes pricing, Greeks and implied volatility for European index options.
+// Volatility and rates are fractions (0.185 = 18.5%), time is in years.
+// Theta is per calendar day, vega and rho are per 1 percentage point.
+
+const DAYS_PER_YEAR = 365;
+const MS_PER_YEAR = DAYS_PER_YEAR * 24 * 60 * 60 * 1000;
+const MIN_TIME_TO_EXPIRY = 1 / (DAYS_PER_YEAR * 24 * 60); // one minute
+
+const DEFAULT_RISK_FREE_RATE = parseFloat(process.env.RISK_FREE_RATE || '6.5') / 100;
+
+function normCdf(x) {
+  return 0.5 * (1 + erf(x / Math.SQRT2));
+}
+
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+// Years from now until 15:30 IST on the expiry date (YYYY-MM-DD)
+function yearsToExpiry(expiryDate, now = Date.now()) {
+  const expiry = Date.parse(`${expiryDate}T15:30:00+05:30`);
+  return Math.max((expiry - now) / MS_PER_YEAR, MIN_TIME_TO_EXPIRY);
+}
+
+function intrinsicValue(type, spot, strike) {
+  return type === 'call' ? Math.max(spot - strike, 0) : Math.max(strike - spot, 0);
+}
+
+function blackScholes({ type, spot, strike, timeToExpiry, volatility, rate = DEFAULT_RISK_FREE_RATE }) {
+  const t = Math.max(timeToExpiry, MIN_TIME_TO_EXPIRY);
+
+  if (!(volatility > 0)) {
+    return {
+      price: intrinsicValue(type, spot, strike),
+      delta: type === 'call' ? (spot > strike ? 1 : 0) : (spot < strike ? -1 : 0),
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0
+    };
+  }
+
+  const sqrtT = Math.sqrt(t);
+  const d1 = (Math.log(spot / strike) + (rate + (volatility * volatility) / 2) * t) / (volatility * sqrtT);
+  const d2 = d1 - volatility * sqrtT;
+  const discount = Math.exp(-rate * t);
+  const pdfD1 = normPdf(d1);
+
+  const gamma = pdfD1 / (spot * volatility * sqrtT);
+  const vega = (spot * pdfD1 * sqrtT) / 100;
+  const decay = -(spot * pdfD1 * volatility) / (2 * sqrtT);
+
+  if (type === 'call') {
+    return {
+      price: spot * normCdf(d1) - strike * discount * normCdf(d2),
+      delta: normCdf(d1),
+      gamma,
+      theta: (decay - rate * strike * discount * normCdf(d2)) / DAYS_PER_YEAR,
+      vega,
+      rho: (strike * t * discount * normCdf(d2)) / 100
+    };
+  }
+
+  return {
+    price: strike * discount * normCdf(-d2) - spot * normCdf(-d1),
+    delta: normCdf(d1) - 1,
+    gamma,
+    theta: (decay + rate * strike * discount * normCdf(-d2)) / DAYS_PER_YEAR,
+    vega,
+    rho: -(strike * t * discount * normCdf(-d2)) / 100
+  };
+}
+
+// Back implied volatility out of an option price.
+// Newton-Raphson with a bisection fallback; returns null when the price
+// is outside what any volatility can produce.
+function impliedVolatility({ type, price, spot, strike, timeToExpiry, rate = DEFAULT_RISK_FREE_RATE }) {
+  const MIN_VOL = 0.001;
+  const MAX_VOL = 5;
+  const TOLERANCE = 1e-4;
+
+  if (!(price > 0) || !(spot > 0) || !(strike > 0)) return null;
+
+  const priceAt = (volatility) => blackScholes({ type, spot, strike, timeToExpiry, volatility, rate }).price;
+  if (price < priceAt(MIN_VOL) - TOLERANCE || price > priceAt(MAX_VOL)) return null;
+
+  let volatility = 0.2;
+  for (let i = 0; i < 50; i++) {
+    const result = blackScholes({ type, spot, strike, timeToExpiry, volatility, rate });
+    const diff = result.price - price;
+    if (Math.abs(diff) < TOLERANCE) return volatility;
+
+    const vegaPerUnit = result.vega * 100;
+    if (vegaPerUnit < 1e-8) break;
+
+    volatility -= diff / vegaPerUnit;
+    if (volatility <= MIN_VOL || volatility >= MAX_VOL) break;
+  }
+
+  let low = MIN_VOL;
+  let high = MAX_VOL;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    const diff = priceAt(mid) - price;
+    if (Math.abs(diff) < TOLERANCE) return mid;
+    if (diff > 0) high = mid; else low = mid;
+  }
+
+  return (low + high) / 2;
+}
+
+// Annotate every call/put in a normalised option chain with Greeks.
+// IV is solved from the leg's LTP, falling back to the exchange-reported IV.
+function annotateChainWithGreeks(optionChain, { underlyingPrice, expiryDate, rate = DEFAULT_RISK_FREE_RATE, now }) {
+  const timeToExpiry = yearsToExpiry(expiryDate, now);
+
+  const annotate = (leg, type, strike) => {
+    if (!leg || !underlyingPrice) return leg;
+
+    const iv = impliedVolatility({ type, price: leg.ltp, spot: underlyingPrice, strike, timeToExpiry, rate }) || leg.iv;
+    if (!iv) return { ...leg, greeks: null };
+
+    const { delta, gamma, theta, vega, rho } = blackScholes({
+      type, spot: underlyingPrice, strike, timeToExpiry, volatility: iv, rate
+    });
+
+    return { ...leg, greeks: { iv, delta, gamma, theta, vega, rho } };
+  };
+
+  return optionChain.map((row) => ({
+    ...row,
+    call: annotate(row.call, 'call', row.strike),
+    put: annotate(row.put, 'put', row.strike)
+  }));
+}
+
+module.exports = {
+  DAYS_PER_YEAR,
+  DEFAULT_RISK_FREE_RATE,
+  normCdf,
+  yearsToExpiry,
+  blackScholes,
+  impliedVolatility,
+  annotateChainWithGreeks
+};
@@ -0,0 +1,146 @@
+const EventEmitter = require('events');
+const { getInstrument } = require('./instruments');
+const { EXPIRY_DATE_PATTERN, getUnderlying, fetchExpiries, fetchOptionChain } = require('./optionChain');
+const { fetchQuotes } = require('./quotes');
+const { istClock } = require('./calendar');
+const { DEFAULT_RISK_FREE_RATE, yearsToExpiry, blackScholes, impliedVolatility } = require('./greeks');
+
+// Holdings shared by watchlists and the manual portfolio: either a
+// registered instrument ({ symbol }) or an index option contract
+// ({ symbol, expiryDate, strike, optionType }).
+//
+// holdingsEvents emits 'changed' (userId) whenever a user's watchlists or
+// portfolio change, so their sockets can follow.
+
+const holdingsEvents = new EventEmitter();
+
+const OPTION_TYPES = { CE: 'call', PE: 'put' };
+
+// Validate a holding. Option contracts must be on a listed expiry, so a
+// typo does not leave a chain that never exists polled forever. Returns
+// { holding } or { error }.
+async function parseHolding(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Expected an object with a symbol' };
+
+  const isOption = raw.optionType !== undefined || raw.strike !== undefined || raw.expiryDate !== undefined;
+
+  if (!isOption) {
+    const instrument = getInstrument(raw.symbol);
+    if (!instrument) return { error: `Unknown symbol: ${raw.symbol}` };
+    return { holding: { type: 'instrument', symbol: instrument.key } };
+  }
+
+  const underlying = getUnderlying(raw.symbol);
+  const optionType = String(raw.optionType || '').toUpperCase();
+  const strike = parseFloat(raw.strike);
+
+  if (!underlying) return { error: `No options listed for ${raw.symbol}` };
+  if (!OPTION_TYPES[optionType]) return { error: 'optionType must be CE or PE' };
+  if (!(strike > 0)) return { error: 'strike must be a positive number' };
+  if (!EXPIRY_DATE_PATTERN.test(raw.expiryDate || '')) return { error: 'expiryDate must be in YYYY-MM-DD format' };
+
+  const { expiries } = await fetchExpiries(underlying.key);
+  if (!expiries.includes(raw.expiryDate)) return { error: `${raw.expiryDate} is not a listed ${underlying.name} expiry` };
+
+  return {
+    holding: { type: 'option', symbol: underlying.key, expiryDate: raw.expiryDate, optionType, strike }
+  };
+}
+
+// Identity of a holding, e.g. "reliance" or "nifty:2026-10-27:25000:CE"
+function holdingKey({ type, symbol, expiryDate, strike, optionType }) {
+  return type === 'option' ? `${symbol}:${expiryDate}:${strike}:${optionType}` : symbol;
+}
+
+// Poller channels carrying live prices for holdings. Expired contracts
+// have no chain left to poll.
+function holdingChannels(holdings, now = Date.now()) {
+  const today = istClock(now).date;
+  return [...new Set(holdings
+    .filter((holding) => holding.type !== 'option' || holding.expiryDate >= today)
+    .map((holding) => (
+      holding.type === 'option' ? `chain:${holding.symbol}:${holding.expiryDate}` : `quote:${holding.symbol}`
+    )))];
+}
+
+// Per-unit Greeks for an option contract from its LTP's implied volatility
+// (the chain's IV when that fails), or null without a price or spot
+function contractGreeks({ optionType, strike, expiryDate }, leg, spot, now = Date.now()) {
+  const type = OPTION_TYPES[optionType];
+  const timeToExpiry = yearsToExpiry(expiryDate, now);
+  const iv = impliedVolatility({
+    type, price: leg?.ltp, spot, strike, timeToExpiry, rate: DEFAULT_RISK_FREE_RATE
+  }) || leg?.iv;
+  if (!iv || !(spot > 0)) return null;
+
+  const { delta, gamma, theta, vega, rho } = blackScholes({
+    type, spot, strike, timeToExpiry, volatility: iv, rate: DEFAULT_RISK_FREE_RATE
+  });
+  return { iv, delta, gamma, theta, vega, rho };
+}
+
+// Live prices for holdings, keyed by holdingKey. Instruments carry their
+// quote; options their chain leg, the underlying's spot and per-unit
+// Greeks. Holdings that cannot be priced map to null.
+async function priceHoldings(holdings, now = Date.now()) {
+  const prices = new Map();
+  const instruments = [...new Set(holdings.filter((holding) => holding.type === 'instrument').map((holding) => holding.symbol))];
+  const chains = new Map();
+
+  if (instruments.length) {
+    try {
+      const quotes = await fetchQuotes(instruments);
+      instruments.forEach((symbol) => {
+        const quote = quotes[symbol];
+        prices.set(symbol, quote ? {
+          ltp: quote.price,
+          change: quote.change,
+          changePercent: quote.changePercent,
+          source: quote.source,
+          stale: quote.stale
+        } : null);
+      });
+    } catch (error) {
+      console.error('Error pricing instrument holdings:', error.message);
+    }
+  }
+
+  for (const holding of holdings.filter((entry) => entry.type === 'option')) {
+    const chainKey = `${holding.symbol}:${holding.expiryDate}`;
+    if (!chains.has(chainKey)) {
+      try {
+        chains.set(chainKey, await fetchOptionChain(holding.symbol, holding.expiryDate));
+      } catch (error) {
+        console.error(`Error pricing ${chainKey} option holdings:`, error.message);
+        chains.set(chainKey, null);
+      }
+    }
+
+    const chain = chains.get(chainKey);
+    const row = chain?.optionChain.find((entry) => entry.strike === holding.strike);
+    const leg = row ? row[OPTION_TYPES[holding.optionType]] : null;
+    prices.set(holdingKey(holding), leg && leg.ltp > 0 ? {
+      ltp: leg.ltp,
+      change: leg.prevClose ? leg.ltp - leg.prevClose : null,
+      changePercent: leg.prevClose ? ((leg.ltp - leg.prevClose) / leg.prevClose) * 100 : null,
+      bid: leg.bid,
+      ask: leg.ask,
+      oi: leg.oi,
+      spot: chain.underlyingPrice,
+      greeks: contractGreeks(holding, leg, chain.underlyingPrice, now),
+      source: chain.source,
+      stale: chain.stale
+    } : null);
+  }
+
+  return prices;
+}
+
+module.exports = {
+  holdingsEvents,
+  parseHolding,
+  holdingKey,
+  holdingChannels,
+  contractGreeks,
+  priceHoldings
+};
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const readline = require('readline');
+const axios = require('axios');
+
+// Instrument registry built from Dhan's security master CSV.
+//
+// Instruments are keyed by a lowercase compact symbol ('nifty', 'banknifty',
+// 'indiavix', 'reliance') and carry everything needed to quote them:
+// exchange segment, security id, lot size, tick size and expiry cycle.
+// Index option contracts are kept per underlying for strike pickers.
+//
+// The built-in indices below are available immediately and are refined by
+// the CSV once it has loaded.
+
+const SCRIP_MASTER_SOURCE = process.env.DHAN_SCRIP_MASTER
+  || 'https://images.dhan.co/api-data/api-scrip-master.csv';
+
+const BUILTIN_INDICES = [
+  { symbol: 'NIFTY', name: 'NIFTY 50', exchange: 'NSE', securityId: 13, lotSize: 65, expiryCycle: 'weekly' },
+  { symbol: 'BANKNIFTY', name: 'NIFTY BANK', exchange: 'NSE', securityId: 25, lotSize: 30, expiryCycle: 'monthly' },
+  { symbol: 'FINNIFTY', name: 'NIFTY FIN SERVICE', exchange: 'NSE', securityId: 27, lotSize: 60, expiryCycle: 'monthly' },
+  { symbol: 'MIDCPNIFTY', name: 'NIFTY MID SELECT', exchange: 'NSE', securityId: 442, lotSize: 120, expiryCycle: 'monthly' },
+  { symbol: 'SENSEX', name: 'SENSEX', exchange: 'BSE', securityId: 51, lotSize: 20, expiryCycle: 'weekly' },
+  { symbol: 'INDIA VIX', name: 'INDIA VIX', exchange: 'NSE', securityId: 21, lotSize: null, expiryCycle: null }
+];
+
+const instruments = new Map();
+const aliases = new Map();
+const optionContracts = new Map();
+let loadedAt = null;
+
+function toKey(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function register(instrument) {
+  instruments.set(instrument.key, instrument);
+  [instrument.key, instrument.symbol, instrument.name].forEach((alias) => {
+    if (alias && !aliases.has(toKey(alias))) aliases.set(toKey(alias), instrument.key);
+  });
+}
+
+BUILTIN_INDICES.forEach((index) => {
+  register({
+    key: toKey(index.symbol),
+    symbol: index.symbol,
+    name: index.name,
+    exchange: index.exchange,
+    segment: 'IDX_I',
+    securityId: index.securityId,
+    instrumentType: 'INDEX',
+    lotSize: index.lotSize,
+    tickSize: 0.05,
+    expiryCycle: index.expiryCycle,
+    optionable: index.lotSize !== null,
+    derivativesSegment: index.lotSize !== null ? `${index.exchange}_FNO` : null
+  });
+});
+
+// Look up an instrument by key, trading symbol or name (case-insensitive)
+function getInstrument(symbol) {
+  if (symbol === undefined || symbol === null) return null;
+  return instruments.get(aliases.get(toKey(symbol))) || null;
+}
+
+function getOptionableInstruments() {
+  return [...instruments.values()].filter((instrument) => instrument.optionable);
+}
+
+function searchInstruments(query, { type, limit = 20 } = {}) {
+  const needle = toKey(query || '');
+  const results = [];
+
+  for (const instrument of instruments.values()) {
+    if (type && instrument.instrumentType !== type.toUpperCase()) continue;
+    if (needle && !toKey(instrument.symbol).includes(needle) && !toKey(instrument.name).includes(needle)) continue;
+    results.push(instrument);
+  }
+
+  // Exact and prefix matches first, then alphabetical
+  const rank = (instrument) => {
+    const symbol = toKey(instrument.symbol);
+    if (symbol === needle) return 0;
+    if (symbol.startsWith(needle)) return 1;
+    return 2;
+  };
+
+  return results
+    .sort((a, b) => rank(a) - rank(b) || a.symbol.localeCompare(b.symbol))
+    .slice(0, limit);
+}
+
+// Option contracts for an underlying, optionally for one expiry
+function getOptionContracts(symbol, { expiryDate } = {}) {
+  const instrument = getInstrument(symbol);
+  if (!instrument) return [];
+
+  const contracts = optionContracts.get(instrument.key) || [];
+  return expiryDate ? contracts.filter((contract) => contract.expiryDate === expiryDate) : contracts;
+}
+
+// Minimal CSV line parser with support for quoted fields
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields;
+}
+
+async function openScripMaster(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await axios.get(source, { responseType: 'stream', timeout: 60000 });
+    return response.data;
+  }
+  return fs.createReadStream(source);
+}
+
+// Apply one scrip master row. Tick sizes in the CSV are in paise.
+function applyRow(row, pendingOptions) {
+  const exchange = row.SEM_EXM_EXCH_ID;
+  const tickSize = parseFloat(row.SEM_TICK_SIZE) / 100 || 0.05;
+
+  if (row.SEM_SEGMENT === 'I' && row.SEM_INSTRUMENT_NAME === 'INDEX') {
+    const existing = getInstrument(row.SEM_TRADING_SYMBOL);
+    if (existing && existing.segment === 'IDX_I') return;
+
+    register({
+      key: toKey(row.SEM_TRADING_SYMBOL),
+      symbol: row.SEM_TRADING_SYMBOL,
+      name: row.SEM_CUSTOM_SYMBOL || row.SEM_TRADING_SYMBOL,
+      exchange,
+      segment: 'IDX_I',
+      securityId: parseInt(row.SEM_SMST_SECURITY_ID, 10),
+      instrumentType: 'INDEX',
+      lotSize: null,
+      tickSize,
+      expiryCycle: null,
+      optionable: false,
+      derivativesSegment: null
+    });
+  } else if (row.SEM_SEGMENT === 'E' && exchange === 'NSE' && row.SEM_SERIES === 'EQ') {
+    if (getInstrument(row.SEM_TRADING_SYMBOL)?.instrumentType === 'INDEX') return;
+
+    register({
+      key: toKey(row.SEM_TRADING_SYMBOL),
+      symbol: row.SEM_TRADING_SYMBOL,
+      name: row.SM_SYMBOL_NAME || row.SEM_CUSTOM_SYMBOL || row.SEM_TRADING_SYMBOL,
+      exchange,
+      segment: 'NSE_EQ',
+      securityId: parseInt(row.SEM_SMST_SECURITY_ID, 10),
+      instrumentType: 'EQUITY',
+      lotSize: 1,
+      tickSize,
+      expiryCycle: null,
+      optionable: false,
+      derivativesSegment: null
+    });
+  } else if (row.SEM_SEGMENT === 'D' && row.SEM_INSTRUMENT_NAME === 'OPTIDX') {
+    pendingOptions.push({
+      underlying: toKey(row.SEM_TRADING_SYMBOL.split('-')[0]),
+      securityId: parseInt(row.SEM_SMST_SECURITY_ID, 10),
+      segment: `${exchange}_FNO`,
+      tradingSymbol: row.SEM_TRADING_SYMBOL,
+      displayName: row.SEM_CUSTOM_SYMBOL,
+      expiryDate: row.SEM_EXPIRY_DATE.slice(0, 10),
+      strike: parseFloat(row.SEM_STRIKE_PRICE),
+      optionType: row.SEM_OPTION_TYPE,
+      lotSize: parseFloat(row.SEM_LOT_UNITS),
+      tickSize,
+      weekly: row.SEM_EXPIRY_FLAG === 'W'
+    });
+  }
+}
+
+// Attach option contracts to their index and derive lot size and expiry cycle
+function attachOptionContracts(pendingOptions) {
+  const byUnderlying = new Map();
+  pendingOptions.forEach((contract) => {
+    if (!byUnderlying.has(contract.underlying)) byUnderlying.set(contract.underlying, []);
+    byUnderlying.get(contract.underlying).push(contract);
+  });
+
+  optionContracts.clear();
+  byUnderlying.forEach((contracts, key) => {
+    const instrument = getInstrument(key);
+    if (!instrument || instrument.instrumentType !== 'INDEX') return;
+
+    contracts.sort((a, b) => a.expiryDate.localeCompare(b.expiryDate) || a.strike - b.strike);
+    const nearest = contracts[0];
+
+    Object.assign(instrument, {
+      lotSize: nearest.lotSize,
+      expiryCycle: contracts.some((contract) => contract.weekly) ? 'weekly' : 'monthly',
+      optionable: true,
+      derivativesSegment: nearest.segment
+    });
+
+    optionContracts.set(instrument.key, contracts.map(({ underlying, weekly, ...contract }) => contract));
+  });
+}
+
+// Load the security master. On failure the registry keeps its current contents.
+async function loadInstruments(source = SCRIP_MASTER_SOURCE) {
+  try {
+    console.log('Loading Dhan security master...');
+
+    const stream = await openScripMaster(source);
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    const pendingOptions = [];
+    let columns = null;
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const fields = parseCsvLine(line);
+      if (!columns) {
+        columns = fields.map((column) => column.trim());
+        continue;
+      }
+
+      const row = {};
+      columns.forEach((column, i) => { row[column] = (fields[i] || '').trim(); });
+      applyRow(row, pendingOptions);
+    }
+
+    attachOptionContracts(pendingOptions);
+    loadedAt = new Date().toISOString();
+    console.log(`✅ Loaded ${instruments.size} instruments from security master`);
+  } catch (error) {
+    console.error('Error loading security master, using built-in indices:', error.message);
+  }
+}
+
+function getRegistryStatus() {
+  return {
+    instruments: instruments.size,
+    optionUnderlyings: optionContracts.size,
+    loadedAt
+  };
+}
+
+module.exports = {
+  getInstrument,
+  getOptionableInstruments,
+  searchInstruments,
+  getOptionContracts,
+  loadInstruments,
+  getRegistryStatus
+};
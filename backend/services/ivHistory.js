@@ -0,0 +1,149 @@
+const { createCollection } = require('./store');
+const { annotateChainWithGreeks } = require('./greeks');
+const { fetchNearestExpiry } = require('./optionChain');
+const { fetchQuotes } = require('./quotes');
+const { istDate } = require('./oiHistory');
+
+// Daily implied-volatility history for IV rank and percentile.
+//
+// One record per symbol and IST day holds the latest ATM IV of the nearest
+// expiry seen that day, so after the close it is the day's closing IV.
+// India VIX closes are kept the same way under the 'indiavix' symbol.
+
+const VIX_SYMBOL = 'indiavix';
+const RECORD_INTERVAL = 5 * 60 * 1000;
+const RETENTION_DAYS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SKEW_OTM_PERCENT = 3;
+
+const ivHistory = createCollection('iv-history');
+const lastRecordedAt = new Map();
+let lastPruneDay = null;
+
+// Implied volatility per strike, solved from LTP with the exchange IV as fallback
+function ivSmile({ underlyingPrice, expiryDate, optionChain }, now = Date.now()) {
+  return annotateChainWithGreeks(optionChain, { underlyingPrice, expiryDate, now })
+    .map(({ strike, call, put }) => ({
+      strike,
+      moneyness: strike / underlyingPrice,
+      callIv: call?.greeks?.iv ?? null,
+      putIv: put?.greeks?.iv ?? null
+    }));
+}
+
+// Smile on the out-of-the-money side (puts below spot, calls above) and the
+// put-minus-call IV difference SKEW_OTM_PERCENT either side of spot
+function summarizeSkew(smile, underlyingPrice) {
+  const nearest = (price) => smile.reduce((best, row) => (
+    !best || Math.abs(row.strike - price) < Math.abs(best.strike - price) ? row : best
+  ), null);
+
+  const putIv = nearest(underlyingPrice * (1 - SKEW_OTM_PERCENT / 100))?.putIv ?? null;
+  const callIv = nearest(underlyingPrice * (1 + SKEW_OTM_PERCENT / 100))?.callIv ?? null;
+
+  return {
+    otmPercent: SKEW_OTM_PERCENT,
+    putIv,
+    callIv,
+    difference: putIv !== null && callIv !== null ? putIv - callIv : null,
+    smile: smile.map((row) => ({
+      ...row,
+      otmIv: row.strike < underlyingPrice ? row.putIv : row.callIv
+    }))
+  };
+}
+
+// Mean of the call and put IV at the strike closest to spot
+function atmIv(smile, underlyingPrice) {
+  const atm = smile.reduce((best, row) => (
+    !best || Math.abs(row.strike - underlyingPrice) < Math.abs(best.strike - underlyingPrice) ? row : best
+  ), null);
+  const ivs = [atm?.callIv, atm?.putIv].filter((iv) => iv > 0);
+  return ivs.length ? ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length : null;
+}
+
+function upsertDay(symbol, date, values) {
+  const existing = ivHistory.findOne((record) => record.symbol === symbol && record.date === date);
+  if (existing) return ivHistory.update(existing.id, values);
+  return ivHistory.insert({ symbol, date, ...values });
+}
+
+function due(key, now) {
+  return now - (lastRecordedAt.get(key) || 0) >= RECORD_INTERVAL;
+}
+
+function prune(now) {
+  const today = istDate(now);
+  if (lastPruneDay === today) return;
+  lastPruneDay = today;
+
+  const cutoff = istDate(now - RETENTION_DAYS * DAY_MS);
+  ivHistory.removeWhere((record) => record.date < cutoff);
+}
+
+async function recordVix(now) {
+  if (!due(VIX_SYMBOL, now)) return;
+  lastRecordedAt.set(VIX_SYMBOL, now);
+
+  const quotes = await fetchQuotes([VIX_SYMBOL]);
+  const vix = quotes[VIX_SYMBOL];
+  if (vix && vix.price > 0) {
+    upsertDay(VIX_SYMBOL, istDate(now), { close: vix.price, updatedAt: new Date(now).toISOString() });
+  }
+}
+
+// Record ATM IV from a freshly fetched nearest-expiry chain, and the VIX
+// alongside it, at most once per interval
+async function recordDailyIv(chain, now = Date.now()) {
+  const { symbol, expiryDate, underlyingPrice, optionChain } = chain;
+
+  try {
+    if (!underlyingPrice || optionChain.length === 0) return;
+    if (!due(symbol, now) || expiryDate !== await fetchNearestExpiry(symbol)) return;
+    lastRecordedAt.set(symbol, now);
+
+    const iv = atmIv(ivSmile(chain, now), underlyingPrice);
+    if (iv) {
+      upsertDay(symbol, istDate(now), { iv, spot: underlyingPrice, expiryDate, updatedAt: new Date(now).toISOString() });
+    }
+
+    await recordVix(now);
+    prune(now);
+  } catch (error) {
+    console.error(`Error recording ${symbol} IV history:`, error.message);
+  }
+}
+
+// Daily records for a symbol over the last `days` days, oldest first
+function getIvHistory(symbol, { days = 365, now = Date.now() } = {}) {
+  const from = istDate(now - days * DAY_MS);
+  return ivHistory
+    .find((record) => record.symbol === symbol && record.date >= from)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// IV rank and percentile of `current` against a series of past values
+function rankAgainst(values, current) {
+  if (current === null) return { high: null, low: null, rank: null, percentile: null };
+
+  const series = [...values, current];
+
+  const high = Math.max(...series);
+  const low = Math.min(...series);
+  return {
+    high,
+    low,
+    rank: high > low ? ((current - low) / (high - low)) * 100 : null,
+    percentile: values.length ? (values.filter((value) => value < current).length / values.length) * 100 : null
+  };
+}
+
+module.exports = {
+  VIX_SYMBOL,
+  ivSmile,
+  summarizeSkew,
+  atmIv,
+  recordDailyIv,
+  getIvHistory,
+  rankAgainst
+};
@@ -0,0 +1,48 @@
+// Max pain: the expiry price at which option writers pay out the least.
+// For each candidate settlement price we sum the intrinsic value of every
+// open call and put in the chain, weighted by open interest.
+
+function computePayoutCurve(optionChain) {
+  return optionChain.map(({ strike: settlement }) => {
+    let callPayout = 0;
+    let putPayout = 0;
+
+    optionChain.forEach(({ strike, call, put }) => {
+      if (call && settlement > strike) callPayout += (settlement - strike) * call.oi;
+      if (put && settlement < strike) putPayout += (strike - settlement) * put.oi;
+    });
+
+    return {
+      strike: settlement,
+      callPayout,
+      putPayout,
+      totalPayout: callPayout + putPayout
+    };
+  });
+}
+
+function computeMaxPain(optionChain, underlyingPrice) {
+  if (!optionChain || optionChain.length === 0) {
+    return { maxPainStrike: null, distance: null, distancePercent: null, payoutCurve: [] };
+  }
+
+  const payoutCurve = computePayoutCurve(optionChain);
+  const minimum = payoutCurve.reduce((best, point) => (
+    point.totalPayout < best.totalPayout ? point : best
+  ));
+
+  const maxPainStrike = minimum.strike;
+  const distance = underlyingPrice ? maxPainStrike - underlyingPrice : null;
+
+  return {
+    maxPainStrike,
+    distance,
+    distancePercent: underlyingPrice ? (distance / underlyingPrice) * 100 : null,
+    payoutCurve
+  };
+}
+
+module.exports = {
+  computePayoutCurve,
+  computeMaxPain
+};
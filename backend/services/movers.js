@@ -0,0 +1,123 @@
+const { getInstrument } = require('./instruments');
+const { fetchQuotes } = require('./quotes');
+
+// Index heavyweights and point contribution to the index move.
+//
+// A constituent's contribution is the index's previous close times its
+// free-float weight times its own % change, so the contributions add up to
+// (roughly) the index's change in points. Weights are free-float weights in
+// percent from the NSE and BSE index factsheets as of WEIGHTS_AS_OF, and need
+// refreshing after each index rebalance or corporate action; they are
+// normalised to sum to 100. SENSEX constituents are quoted on NSE.
+
+const WEIGHTS_AS_OF = {
+  nifty: '2025-09-30',
+  sensex: '2025-10-31'
+};
+
+const CONSTITUENTS = {
+  nifty: [
+    ['HDFCBANK', 13.0], ['ICICIBANK', 8.9], ['RELIANCE', 8.5], ['INFY', 5.0], ['BHARTIARTL', 4.7],
+    ['LT', 3.9], ['ITC', 3.4], ['SBIN', 3.0], ['AXISBANK', 3.0], ['TCS', 2.9],
+    ['KOTAKBANK', 2.8], ['M&M', 2.6], ['BAJFINANCE', 2.4], ['HINDUNILVR', 1.9], ['SUNPHARMA', 1.6],
+    ['ETERNAL', 1.6], ['HCLTECH', 1.5], ['MARUTI', 1.5], ['NTPC', 1.4], ['TITAN', 1.3],
+    ['ULTRACEMCO', 1.2], ['BEL', 1.2], ['TATASTEEL', 1.2], ['TATAMOTORS', 1.1], ['POWERGRID', 1.1],
+    ['TRENT', 1.0], ['BAJAJFINSV', 1.0], ['ASIANPAINT', 0.9], ['JIOFIN', 0.9], ['ADANIPORTS', 0.9],
+    ['GRASIM', 0.9], ['HINDALCO', 0.9], ['JSWSTEEL', 0.9], ['ONGC', 0.8], ['BAJAJ-AUTO', 0.8],
+    ['TECHM', 0.8], ['SHRIRAMFIN', 0.8], ['COALINDIA', 0.7], ['CIPLA', 0.7], ['NESTLEIND', 0.7],
+    ['SBILIFE', 0.7], ['HDFCLIFE', 0.7], ['EICHERMOT', 0.7], ['DRREDDY', 0.6], ['TATACONSUM', 0.6],
+    ['APOLLOHOSP', 0.6], ['WIPRO', 0.6], ['INDIGO', 0.6], ['MAXHEALTH', 0.6], ['ADANIENT', 0.5]
+  ],
+  // Tata Motors is left out since its demerger
+  sensex: [
+    ['HDFCBANK', 15.48], ['ICICIBANK', 10.21], ['RELIANCE', 10.53], ['INFY', 5.52], ['BHARTIARTL', 5.78],
+    ['LT', 4.72], ['ITC', 3.84], ['SBIN', 3.87], ['AXISBANK', 3.62], ['TCS', 3.58],
+    ['KOTAKBANK', 3.21], ['M&M', 3.14], ['BAJFINANCE', 2.96], ['HINDUNILVR', 2.09], ['SUNPHARMA', 1.83],
+    ['ETERNAL', 2.05], ['HCLTECH', 1.71], ['MARUTI', 2.18], ['NTPC', 1.54], ['TITAN', 1.62],
+    ['ULTRACEMCO', 1.36], ['BEL', 1.52], ['TATASTEEL', 1.49], ['POWERGRID', 1.22], ['TRENT', 0.98],
+    ['BAJAJFINSV', 1.12], ['ASIANPAINT', 1.05], ['ADANIPORTS', 1.13], ['TECHM', 0.86]
+  ]
+};
+
+// Constituents of an index with normalised weights, or null if not tracked
+function getConstituents(indexKey) {
+  const list = CONSTITUENTS[indexKey];
+  if (!list) return null;
+
+  const total = list.reduce((sum, [, weight]) => sum + weight, 0);
+  return list.map(([symbol, weight]) => ({ symbol, weight: (weight / total) * 100 }));
+}
+
+// Registry keys to quote for an index: the index itself plus its constituents
+function moverSymbols(indexKey) {
+  const constituents = getConstituents(indexKey) || [];
+  return [indexKey, ...constituents.map(({ symbol }) => getInstrument(symbol)?.key).filter(Boolean)];
+}
+
+// Point contributions from a map of quotes keyed by registry key
+function computeMovers(indexKey, quotes) {
+  const index = quotes[indexKey];
+  const constituents = getConstituents(indexKey);
+  const missing = [];
+  const used = index ? [index] : [];
+
+  const rows = [];
+  constituents.forEach(({ symbol, weight }) => {
+    const quote = quotes[getInstrument(symbol)?.key];
+    if (!quote || quote.changePercent === null) {
+      missing.push(symbol);
+      return;
+    }
+    used.push(quote);
+
+    rows.push({
+      symbol,
+      name: quote.name,
+      weight,
+      price: quote.price,
+      change: quote.change,
+      changePercent: quote.changePercent,
+      contribution: index?.prevClose ? index.prevClose * (weight / 100) * (quote.changePercent / 100) : null
+    });
+  });
+
+  const explainedPoints = rows.reduce((sum, row) => sum + (row.contribution || 0), 0);
+
+  return {
+    index: index ? {
+      price: index.price,
+      change: index.change,
+      changePercent: index.changePercent
+    } : null,
+    explainedPoints,
+    advances: rows.filter((row) => row.change > 0).length,
+    declines: rows.filter((row) => row.change < 0).length,
+    movers: rows.slice().sort((a, b) => Math.abs(b.contribution || 0) - Math.abs(a.contribution || 0)),
+    heavyweights: rows.slice().sort((a, b) => b.weight - a.weight),
+    missing,
+    weightsAsOf: WEIGHTS_AS_OF[indexKey],
+    source: used[0]?.source || null,
+    stale: used.some((quote) => quote.stale)
+  };
+}
+
+async function fetchMovers(indexKey) {
+  return computeMovers(indexKey, await fetchQuotes(moverSymbols(indexKey)));
+}
+
+// Trim the movers and heavyweights lists to a plan's limit
+function limitMovers(movers, limit) {
+  return {
+    ...movers,
+    movers: movers.movers.slice(0, limit),
+    heavyweights: movers.heavyweights.slice(0, limit)
+  };
+}
+
+module.exports = {
+  getConstituents,
+  moverSymbols,
+  computeMovers,
+  fetchMovers,
+  limitMovers
+};
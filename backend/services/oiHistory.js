@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { getRedisClient } = require('./cache');
+const { DATA_DIR } = require('./store');
+
+// Periodic option-chain OI snapshots per symbol and expiry.
+//
+// Snapshots go to a Redis sorted set (scored by timestamp) when Redis is
+// connected, otherwise to one JSON-lines file per symbol/expiry/day under
+// DATA_DIR. Anything older than the retention period is pruned.
+
+const HISTORY_DIR = path.join(DATA_DIR, 'oi-history');
+
+const SNAPSHOT_INTERVAL = parseInt(process.env.OI_SNAPSHOT_INTERVAL_MS || '60000', 10);
+const RETENTION_DAYS = parseInt(process.env.OI_HISTORY_RETENTION_DAYS || '7', 10);
+const RETENTION_MS = RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Field order of each strike tuple in a stored snapshot
+const STRIKE_FIELDS = ['strike', 'callOI', 'putOI', 'callLtp', 'putLtp', 'callVolume', 'putVolume'];
+
+const lastSnapshotAt = new Map();
+let lastPruneAt = 0;
+
+function istDate(timestamp) {
+  return new Date(timestamp + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+// Midnight IST of the day containing timestamp
+function istDayStart(timestamp) {
+  return Date.parse(`${istDate(timestamp)}T00:00:00+05:30`);
+}
+
+function redisKey(symbol, expiryDate) {
+  return `finop:oi:${symbol}:${expiryDate}`;
+}
+
+function historyFile(symbol, expiryDate, day) {
+  return path.join(HISTORY_DIR, symbol, expiryDate, `${day}.jsonl`);
+}
+
+function compact(timestamp, underlyingPrice, optionChain) {
+  return {
+    t: timestamp,
+    spot: underlyingPrice,
+    s: optionChain.map(({ strike, call, put }) => [
+      strike,
+      call?.oi || 0,
+      put?.oi || 0,
+      call?.ltp || 0,
+      put?.ltp || 0,
+      call?.volume || 0,
+      put?.volume || 0
+    ])
+  };
+}
+
+function expand(snapshot) {
+  return {
+    timestamp: new Date(snapshot.t).toISOString(),
+    underlyingPrice: snapshot.spot,
+    strikes: snapshot.s.map((tuple) => {
+      const row = {};
+      STRIKE_FIELDS.forEach((field, i) => { row[field] = tuple[i]; });
+      return row;
+    })
+  };
+}
+
+async function pruneFiles(cutoff) {
+  const cutoffDay = istDate(cutoff);
+  const symbols = await fs.promises.readdir(HISTORY_DIR).catch(() => []);
+
+  for (const symbol of symbols) {
+    const expiries = await fs.promises.readdir(path.join(HISTORY_DIR, symbol)).catch(() => []);
+    for (const expiryDate of expiries) {
+      const dir = path.join(HISTORY_DIR, symbol, expiryDate);
+      const files = await fs.promises.readdir(dir).catch(() => []);
+      const stale = files.filter((file) => file.slice(0, 10) < cutoffDay);
+
+      await Promise.all(stale.map((file) => fs.promises.unlink(path.join(dir, file))));
+      if (stale.length === files.length) await fs.promises.rmdir(dir).catch(() => {});
+    }
+  }
+}
+
+async function prune(now) {
+  if (now - lastPruneAt < PRUNE_INTERVAL) return;
+  lastPruneAt = now;
+
+  const redis = getRedisClient();
+  if (redis) {
+    for await (const key of redis.scanIterator({ MATCH: 'finop:oi:*' })) {
+      await redis.zRemRangeByScore(key, 0, now - RETENTION_MS);
+    }
+  }
+  await pruneFiles(now - RETENTION_MS);
+}
+
+// Store a snapshot of a freshly fetched chain, at most once per interval
+async function recordSnapshot({ symbol, expiryDate, underlyingPrice, optionChain }, now = Date.now()) {
+  const key = `${symbol}:${expiryDate}`;
+  if (now - (lastSnapshotAt.get(key) || 0) < SNAPSHOT_INTERVAL) return;
+  lastSnapshotAt.set(key, now);
+
+  const line = JSON.stringify(compact(now, underlyingPrice, optionChain));
+
+  try {
+    const redis = getRedisClient();
+    if (redis) {
+      await redis.zAdd(redisKey(symbol, expiryDate), { score: now, value: line });
+      await redis.pExpire(redisKey(symbol, expiryDate), RETENTION_MS);
+    } else {
+      const file = historyFile(symbol, expiryDate, istDate(now));
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${line}\n`);
+    }
+
+    await prune(now);
+  } catch (error) {
+    console.error(`Error recording OI snapshot for ${key}:`, error.message);
+  }
+}
+
+async function readFileSnapshots(symbol, expiryDate, from, to) {
+  const snapshots = [];
+
+  for (let day = istDayStart(from); day <= to; day += 24 * 60 * 60 * 1000) {
+    const raw = await fs.promises.readFile(historyFile(symbol, expiryDate, istDate(day)), 'utf8').catch(() => '');
+    raw.split('\n').forEach((line) => {
+      if (!line) return;
+      const snapshot = JSON.parse(line);
+      if (snapshot.t >= from && snapshot.t <= to) snapshots.push(snapshot);
+    });
+  }
+
+  return snapshots;
+}
+
+// Snapshots between from and to (epoch ms), oldest first
+async function getSnapshots(symbol, expiryDate, { from, to }) {
+  const redis = getRedisClient();
+  const snapshots = redis
+    ? (await redis.zRangeByScore(redisKey(symbol, expiryDate), from, to)).map((line) => JSON.parse(line))
+    : await readFileSnapshots(symbol, expiryDate, from, to);
+
+  return snapshots.map(expand);
+}
+
+// OI time series, optionally narrowed to one strike
+async function getOiHistory(symbol, expiryDate, { strike, from, to }) {
+  const snapshots = await getSnapshots(symbol, expiryDate, { from, to });
+  if (strike === undefined) return snapshots;
+
+  return snapshots
+    .map(({ timestamp, underlyingPrice, strikes }) => {
+      const row = strikes.find((entry) => entry.strike === strike);
+      return row ? { timestamp, underlyingPrice, ...row } : null;
+    })
+    .filter(Boolean);
+}
+
+// Per-strike OI change since the session's first snapshot and over the last N minutes
+async function getOiChanges(symbol, expiryDate, { minutes = 15, now = Date.now() } = {}) {
+  const snapshots = await getSnapshots(symbol, expiryDate, { from: istDayStart(now), to: now });
+  if (snapshots.length === 0) return null;
+
+  const latest = snapshots[snapshots.length - 1];
+  const open = snapshots[0];
+  const windowStart = now - minutes * 60 * 1000;
+  const baseline = snapshots.find((snapshot) => Date.parse(snapshot.timestamp) >= windowStart) || latest;
+
+  const lookup = (snapshot, strike) => snapshot.strikes.find((row) => row.strike === strike);
+  const diff = (current, previous, field) => (previous ? current[field] - previous[field] : null);
+
+  return {
+    timestamp: latest.timestamp,
+    underlyingPrice: latest.underlyingPrice,
+    openTimestamp: open.timestamp,
+    windowTimestamp: baseline.timestamp,
+    minutes,
+    strikes: latest.strikes.map((row) => {
+      const atOpen = lookup(open, row.strike);
+      const atWindow = lookup(baseline, row.strike);
+      return {
+        strike: row.strike,
+        callOI: row.callOI,
+        putOI: row.putOI,
+        callOIChangeSinceOpen: diff(row, atOpen, 'callOI'),
+        putOIChangeSinceOpen: diff(row, atOpen, 'putOI'),
+        callOIChangeInWindow: diff(row, atWindow, 'callOI'),
+        putOIChangeInWindow: diff(row, atWindow, 'putOI')
+      };
+    })
+  };
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  istDate,
+  istDayStart,
+  recordSnapshot,
+  getOiHistory,
+  getOiChanges
+};
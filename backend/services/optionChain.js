@@ -0,0 +1,69 @@
+const EventEmitter = require('events');
+const { cachedEntry } = require('./cache');
+const { getInstrument } = require('./instruments');
+const { getProvider } = require('./providers');
+const { expiryCountdown } = require('./calendar');
+
+// Emits 'chain' ({ symbol, expiryDate, underlyingPrice, optionChain, source }) after
+// every successful option chain fetch so derived data can be recomputed.
+const chainEvents = new EventEmitter();
+
+const EXPIRY_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Registry instrument for an index with listed options, or null
+function getUnderlying(symbol) {
+  const instrument = getInstrument(symbol);
+  return instrument && instrument.optionable ? instrument : null;
+}
+
+// Active expiries (YYYY-MM-DD) for an underlying with the provider's
+// source and whether the list is a stale cached copy
+async function fetchExpiries(symbol) {
+  const underlying = getUnderlying(symbol);
+  if (!underlying) throw new Error(`Unknown symbol: ${symbol}`);
+
+  const provider = getProvider();
+  const { value, stale } = await cachedEntry('expiries', underlying.key, () => provider.fetchExpiryList(underlying));
+  return { expiries: value, source: provider.source, stale };
+}
+
+// Fetch the list of active expiries (YYYY-MM-DD) for an underlying
+async function fetchExpiryList(symbol) {
+  return (await fetchExpiries(symbol)).expiries;
+}
+
+// Nearest expiry whose session (15:30 IST on the expiry date) has not yet
+// closed on the provider's clock
+async function fetchNearestExpiry(symbol) {
+  const now = getProvider().now();
+  const expiries = await fetchExpiryList(symbol);
+  return expiries.find((expiry) => expiryCountdown(expiry, now).msLeft > 0) || null;
+}
+
+// Fetch the option chain for one expiry, normalised per strike, with the
+// provider's source and stale flag. chainEvents fires only when the
+// provider was actually called, not on cache hits.
+async function fetchOptionChain(symbol, expiryDate) {
+  const underlying = getUnderlying(symbol);
+  if (!underlying) throw new Error(`Unknown symbol: ${symbol}`);
+
+  const provider = getProvider();
+  const { key } = underlying;
+  const { value, stale } = await cachedEntry('chain', `${key}:${expiryDate}`, async () => {
+    const chain = await provider.fetchOptionChain(underlying, expiryDate);
+    chainEvents.emit('chain', { symbol: key, expiryDate, ...chain, source: provider.source });
+    return chain;
+  });
+
+  return { ...value, source: provider.source, stale };
+}
+
+module.exports = {
+  EXPIRY_DATE_PATTERN,
+  chainEvents,
+  getUnderlying,
+  fetchExpiries,
+  fetchExpiryList,
+  fetchNearestExpiry,
+  fetchOptionChain
+};
@@ -0,0 +1,615 @@
+const EventEmitter = require('events');
+const { createCollection } = require('./store');
+const { EXPIRY_DATE_PATTERN, getUnderlying, fetchNearestExpiry, fetchOptionChain } = require('./optionChain');
+const { closeAsOf } = require('./candles');
+const { estimateCharges } = require('./charges');
+const { contractGreeks } = require('./holdings');
+const { getMarketStatus, istClock, sessionTimes, latestSession, sessionsBack } = require('./calendar');
+
+// Paper trading: virtual funds, orders, positions and trades per user.
+//
+// Orders are on index options and fill against the option chain: market
+// orders at the ask (buy) or bid (sell), falling back to LTP when the book
+// is empty; limit orders once that price reaches the limit; SL and SL-M
+// orders once LTP crosses the trigger, then as a limit or market order.
+// Orders only fill while the market is open and are valid for one session.
+// Every chain refresh matches the open orders on that chain. Stale cached
+// chains (see cache.js) never fill orders; those wait for fresh prices.
+//
+// Buys are paid for in full, short options block SHORT_MARGIN_FRACTION of
+// the underlying's notional value, and each fill pays estimated charges.
+// Once an expiry's session closes, open positions in it are settled at
+// their intrinsic value against the underlying's closing price that day.
+//
+// paperEvents emits 'order' whenever an order changes and 'positionsChanged'
+// when the set of chains with open orders or positions may have changed.
+
+const paperEvents = new EventEmitter();
+
+const accounts = createCollection('paperAccounts');
+const orders = createCollection('paperOrders');
+const positions = createCollection('paperPositions');
+const trades = createCollection('paperTrades');
+
+const STARTING_FUNDS = parseFloat(process.env.PAPER_STARTING_FUNDS || '1000000');
+const SHORT_MARGIN_FRACTION = 0.12;
+const MAX_LOTS_PER_ORDER = 100;
+const MAX_HISTORY_PER_USER = 1000;
+
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'SL', 'SL-M'];
+const OPTION_TYPES = { CE: 'call', PE: 'put' };
+const PENDING_STATUSES = ['open', 'trigger_pending'];
+
+// Latest chain and spot seen per symbol:expiry and symbol
+const latestChains = new Map();
+const spots = new Map();
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function chainKey(symbol, expiryDate) {
+  return `${symbol}:${expiryDate}`;
+}
+
+function expiryClose(expiryDate) {
+  return Date.parse(`${expiryDate}T15:30:00+05:30`);
+}
+
+function rememberChain(symbol, expiryDate, chain) {
+  latestChains.set(chainKey(symbol, expiryDate), chain);
+  if (chain.underlyingPrice) spots.set(symbol, chain.underlyingPrice);
+}
+
+// The chain row side for an order or position, or null
+function chainLeg(chain, { strike, optionType }) {
+  const row = chain.optionChain.find((entry) => entry.strike === strike);
+  return row ? row[OPTION_TYPES[optionType]] : null;
+}
+
+// The user's account, opened with STARTING_FUNDS on first use
+function getAccount(userId) {
+  return accounts.findOne((account) => account.userId === userId) || accounts.insert({
+    userId,
+    startingFunds: STARTING_FUNDS,
+    balance: STARTING_FUNDS,
+    realizedPnl: 0,
+    chargesPaid: 0,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Clear the user's orders, positions and trades and restore starting funds
+function resetAccount(userId) {
+  const account = getAccount(userId);
+  orders.removeWhere((order) => order.userId === userId);
+  positions.removeWhere((position) => position.userId === userId);
+  trades.removeWhere((trade) => trade.userId === userId);
+
+  paperEvents.emit('positionsChanged');
+  return accounts.update(account.id, {
+    startingFunds: STARTING_FUNDS,
+    balance: STARTING_FUNDS,
+    realizedPnl: 0,
+    chargesPaid: 0,
+    resetAt: new Date().toISOString()
+  });
+}
+
+function findPosition(userId, { symbol, expiryDate, optionType, strike }) {
+  return positions.findOne((position) => position.userId === userId && position.symbol === symbol
+    && position.expiryDate === expiryDate && position.optionType === optionType && position.strike === strike);
+}
+
+function marginFor(symbol, quantity, strike) {
+  return quantity < 0 ? (spots.get(symbol) || strike) * -quantity * SHORT_MARGIN_FRACTION : 0;
+}
+
+function marginUsed(userId) {
+  return positions
+    .find((position) => position.userId === userId)
+    .reduce((sum, position) => sum + marginFor(position.symbol, position.quantity, position.strike), 0);
+}
+
+// Keep each user's order and trade history bounded, dropping the oldest
+function trimHistory(collection, userId, field) {
+  const entries = collection.find((entry) => entry.userId === userId);
+  if (entries.length <= MAX_HISTORY_PER_USER) return;
+
+  const keep = new Set(entries
+    .sort((a, b) => b[field].localeCompare(a[field]))
+    .slice(0, MAX_HISTORY_PER_USER)
+    .map((entry) => entry.id));
+  collection.removeWhere((entry) => entry.userId === userId && !keep.has(entry.id)
+    && !PENDING_STATUSES.includes(entry.status));
+}
+
+// Net a fill into a position: returns the new quantity, average price and
+// the P&L realized on any quantity it closed
+function netFill({ quantity, averagePrice }, signedQuantity, price) {
+  const next = quantity + signedQuantity;
+  if (quantity === 0 || Math.sign(quantity) === Math.sign(signedQuantity)) {
+    return {
+      quantity: next,
+      averagePrice: (averagePrice * Math.abs(quantity) + price * Math.abs(signedQuantity)) / Math.abs(next),
+      realized: 0
+    };
+  }
+
+  const closed = Math.min(Math.abs(quantity), Math.abs(signedQuantity));
+  let nextAverage = averagePrice;
+  if (next === 0) nextAverage = 0;
+  else if (Math.sign(next) !== Math.sign(quantity)) nextAverage = price;
+
+  return {
+    quantity: next,
+    averagePrice: nextAverage,
+    realized: (price - averagePrice) * closed * Math.sign(quantity)
+  };
+}
+
+function updateOrder(order, changes, now) {
+  const updated = orders.update(order.id, { ...changes, updatedAt: new Date(now).toISOString() });
+  paperEvents.emit('order', updated);
+  return updated;
+}
+
+function reject(order, reason, now) {
+  return updateOrder(order, { status: 'rejected', reason }, now);
+}
+
+// Execute an order in full at price, if the account can carry the result.
+// Orders that only reduce a position are always accepted.
+function execute(order, price, now) {
+  const account = getAccount(order.userId);
+  const exchange = getUnderlying(order.symbol).exchange;
+  const signedQuantity = order.side === 'buy' ? order.quantity : -order.quantity;
+  const value = price * order.quantity;
+  const charges = roundMoney(estimateCharges({
+    segment: 'options',
+    exchange,
+    buyValue: order.side === 'buy' ? value : 0,
+    sellValue: order.side === 'sell' ? value : 0,
+    orders: 1
+  }).total);
+
+  const position = findPosition(order.userId, order);
+  const current = position ? position.quantity : 0;
+  const netted = netFill(position || { quantity: 0, averagePrice: 0 }, signedQuantity, price);
+  const reducing = Math.abs(netted.quantity) < Math.abs(current) && Math.sign(netted.quantity) !== -Math.sign(current);
+
+  const balance = account.balance - signedQuantity * price - charges;
+  if (!reducing) {
+    const used = marginUsed(order.userId);
+    const margin = used - marginFor(order.symbol, current, order.strike) + marginFor(order.symbol, netted.quantity, order.strike);
+    if (balance - margin < 0) {
+      const available = account.balance - used;
+      return reject(order, `Insufficient funds: needs ₹${(available - balance + margin).toFixed(2)}, ₹${available.toFixed(2)} available`, now);
+    }
+  }
+
+  const executedAt = new Date(now).toISOString();
+  const realized = roundMoney(netted.realized);
+  const fields = {
+    quantity: netted.quantity,
+    averagePrice: netted.averagePrice,
+    realizedPnl: roundMoney((position?.realizedPnl || 0) + realized),
+    charges: roundMoney((position?.charges || 0) + charges),
+    updatedAt: executedAt
+  };
+  if (position) {
+    positions.update(position.id, fields);
+  } else {
+    positions.insert({
+      userId: order.userId,
+      symbol: order.symbol,
+      expiryDate: order.expiryDate,
+      optionType: order.optionType,
+      strike: order.strike,
+      lotSize: order.lotSize,
+      ...fields,
+      openedAt: executedAt
+    });
+  }
+
+  accounts.update(account.id, {
+    balance: roundMoney(balance),
+    realizedPnl: roundMoney(account.realizedPnl + realized),
+    chargesPaid: roundMoney(account.chargesPaid + charges)
+  });
+
+  trades.insert({
+    userId: order.userId,
+    orderId: order.id,
+    kind: 'fill',
+    symbol: order.symbol,
+    expiryDate: order.expiryDate,
+    optionType: order.optionType,
+    strike: order.strike,
+    side: order.side,
+    quantity: order.quantity,
+    price,
+    charges,
+    executedAt
+  });
+  trimHistory(trades, order.userId, 'executedAt');
+
+  paperEvents.emit('positionsChanged');
+  return updateOrder(order, { status: 'filled', averagePrice: price, charges, filledAt: executedAt }, now);
+}
+
+// Fill or trigger a pending order against its chain leg. Returns the
+// updated order, or the order unchanged when it cannot fill yet.
+function matchOrder(order, leg, now) {
+  if (!leg || !(leg.ltp > 0)) return order;
+
+  let current = order;
+  if (current.status === 'trigger_pending') {
+    const triggered = current.side === 'buy' ? leg.ltp >= current.triggerPrice : leg.ltp <= current.triggerPrice;
+    if (!triggered) return current;
+    current = updateOrder(current, { status: 'open', triggeredAt: new Date(now).toISOString() }, now);
+  }
+
+  const market = current.side === 'buy' ? (leg.ask > 0 ? leg.ask : leg.ltp) : (leg.bid > 0 ? leg.bid : leg.ltp);
+  if (current.orderType === 'MARKET' || current.orderType === 'SL-M') return execute(current, market, now);
+
+  const marketable = current.side === 'buy' ? market <= current.price : market >= current.price;
+  return marketable ? execute(current, market, now) : current;
+}
+
+// Validate an order request. Returns { fields } or { error }.
+function validateOrder(body) {
+  const side = String(body.side || '').toLowerCase();
+  const optionType = String(body.optionType || '').toUpperCase();
+  const orderType = String(body.orderType || 'MARKET').toUpperCase();
+  const strike = parseFloat(body.strike);
+  const lots = body.lots === undefined ? 1 : body.lots;
+  const price = body.price === undefined || body.price === null ? null : parseFloat(body.price);
+  const triggerPrice = body.triggerPrice === undefined || body.triggerPrice === null ? null : parseFloat(body.triggerPrice);
+
+  if (side !== 'buy' && side !== 'sell') return { error: 'side must be buy or sell' };
+  if (!OPTION_TYPES[optionType]) return { error: 'optionType must be CE or PE' };
+  if (!ORDER_TYPES.includes(orderType)) return { error: `orderType must be one of ${ORDER_TYPES.join(', ')}` };
+  if (!(strike > 0)) return { error: 'strike must be a positive number' };
+  if (!Number.isInteger(lots) || lots < 1 || lots > MAX_LOTS_PER_ORDER) {
+    return { error: `lots must be a whole number between 1 and ${MAX_LOTS_PER_ORDER}` };
+  }
+  if (body.expiryDate && !EXPIRY_DATE_PATTERN.test(body.expiryDate)) {
+    return { error: 'expiryDate must be in YYYY-MM-DD format' };
+  }
+
+  const needsPrice = orderType === 'LIMIT' || orderType === 'SL';
+  const needsTrigger = orderType === 'SL' || orderType === 'SL-M';
+  if (needsPrice && !(price > 0)) return { error: `price must be a positive number for ${orderType} orders` };
+  if (needsTrigger && !(triggerPrice > 0)) return { error: `triggerPrice must be a positive number for ${orderType} orders` };
+  if (orderType === 'SL' && (side === 'buy' ? price < triggerPrice : price > triggerPrice)) {
+    return { error: `price must be ${side === 'buy' ? 'at or above' : 'at or below'} triggerPrice for ${side} SL orders` };
+  }
+
+  return {
+    fields: {
+      side,
+      optionType,
+      orderType,
+      strike,
+      lots,
+      price: needsPrice ? price : null,
+      triggerPrice: needsTrigger ? triggerPrice : null
+    }
+  };
+}
+
+// The session an order placed at `now` is valid for: the current one while
+// the market is open, else the next
+function orderSession(now) {
+  const { isOpen, date, nextOpen } = getMarketStatus(now);
+  return sessionTimes(isOpen ? date : istClock(Date.parse(nextOpen)).date);
+}
+
+// Validate, store and (while the market is open) try to fill an order.
+// Returns { order } or { error, status }.
+async function placeOrder(userId, body = {}, now = Date.now()) {
+  const { fields, error } = validateOrder(body);
+  if (error) return { error, status: 400 };
+
+  const underlying = getUnderlying(body.symbol);
+  if (!underlying) return { error: `Unknown symbol: ${body.symbol}`, status: 404 };
+
+  const { isOpen } = getMarketStatus(now);
+  if (fields.orderType === 'MARKET' && !isOpen) {
+    return { error: 'Market orders can only be placed while the market is open', status: 400 };
+  }
+
+  let chain;
+  let expiryDate = body.expiryDate || null;
+  try {
+    expiryDate = expiryDate || await fetchNearestExpiry(underlying.key);
+    if (!expiryDate) return { error: `No active expiries for ${underlying.name}`, status: 404 };
+    if (expiryClose(expiryDate) <= now) return { error: `The ${expiryDate} expiry has already settled`, status: 400 };
+
+    chain = await fetchOptionChain(underlying.key, expiryDate);
+  } catch (fetchError) {
+    console.error(`Error fetching ${underlying.key} chain for paper order:`, fetchError.message);
+    return { error: 'Option chain is unavailable, try again shortly', status: 503 };
+  }
+
+  rememberChain(underlying.key, expiryDate, chain);
+  if (!chain.optionChain.some((row) => row.strike === fields.strike)) {
+    return { error: `No ${fields.strike} strike in the ${underlying.name} ${expiryDate} chain`, status: 400 };
+  }
+
+  const createdAt = new Date(now).toISOString();
+  let order = orders.insert({
+    userId,
+    symbol: underlying.key,
+    expiryDate,
+    ...fields,
+    lotSize: underlying.lotSize,
+    quantity: fields.lots * underlying.lotSize,
+    status: fields.triggerPrice !== null ? 'trigger_pending' : 'open',
+    validUntil: new Date(orderSession(now).close).toISOString(),
+    createdAt,
+    updatedAt: createdAt
+  });
+  trimHistory(orders, userId, 'createdAt');
+  paperEvents.emit('order', order);
+
+  if (isOpen && !chain.stale) {
+    const leg = chainLeg(chain, order);
+    order = fields.orderType === 'MARKET' && !(leg?.ltp > 0)
+      ? reject(order, 'No price for this contract', now)
+      : matchOrder(order, leg, now);
+  }
+
+  paperEvents.emit('positionsChanged');
+  return { order };
+}
+
+// Cancel a pending order. Returns the order, or null when there is no such
+// pending order for the user.
+function cancelOrder(userId, orderId, now = Date.now()) {
+  const order = orders.get(orderId);
+  if (!order || order.userId !== userId || !PENDING_STATUSES.includes(order.status)) return null;
+
+  const cancelled = updateOrder(order, { status: 'cancelled', reason: 'Cancelled by user' }, now);
+  paperEvents.emit('positionsChanged');
+  return cancelled;
+}
+
+function paginate(entries, field, { page = 1, limit = 50 }) {
+  const sorted = entries.sort((a, b) => b[field].localeCompare(a[field]));
+  return { page, limit, total: sorted.length, entries: sorted.slice((page - 1) * limit, page * limit) };
+}
+
+// Order book, newest first, optionally filtered by status
+function listOrders(userId, { status, page, limit } = {}) {
+  const { entries, ...rest } = paginate(
+    orders.find((order) => order.userId === userId && (!status || order.status === status)),
+    'createdAt',
+    { page, limit }
+  );
+  return { ...rest, orders: entries };
+}
+
+// Trade book (fills and expiry settlements), newest first
+function listTrades(userId, { page, limit } = {}) {
+  const { entries, ...rest } = paginate(trades.find((trade) => trade.userId === userId), 'executedAt', { page, limit });
+  return { ...rest, trades: entries };
+}
+
+// Chains to keep polling: every chain with a pending order or open position
+function getPaperChannels() {
+  const keys = new Set();
+  orders.find((order) => PENDING_STATUSES.includes(order.status))
+    .forEach((order) => keys.add(chainKey(order.symbol, order.expiryDate)));
+  positions.find((position) => position.quantity !== 0)
+    .forEach((position) => keys.add(chainKey(position.symbol, position.expiryDate)));
+  return [...keys].map((key) => `chain:${key}`);
+}
+
+// Match pending orders against a freshly fetched chain. Returns the ids of
+// users holding positions in it, whose mark-to-market has moved.
+function processChain(chain, now = Date.now()) {
+  const { symbol, expiryDate } = chain;
+  rememberChain(symbol, expiryDate, chain);
+
+  if (getMarketStatus(now).isOpen && !chain.stale) {
+    orders
+      .find((order) => order.symbol === symbol && order.expiryDate === expiryDate
+        && PENDING_STATUSES.includes(order.status) && Date.parse(order.validUntil) > now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .forEach((order) => matchOrder(order, chainLeg(chain, order), now));
+  }
+
+  return [...new Set(positions
+    .find((position) => position.symbol === symbol && position.expiryDate === expiryDate && position.quantity !== 0)
+    .map((position) => position.userId))];
+}
+
+// Funds, positions marked to market with position Greeks, net Greeks and P&L.
+// Prices come from the latest chain seen for each expiry, fetching (or
+// reading from cache) any not seen yet.
+async function getPortfolio(userId, now = Date.now()) {
+  const account = getAccount(userId);
+  const held = positions.find((position) => position.userId === userId)
+    .sort((a, b) => a.openedAt.localeCompare(b.openedAt));
+
+  const keys = new Set(held.filter((position) => position.quantity !== 0)
+    .map((position) => chainKey(position.symbol, position.expiryDate)));
+  for (const key of keys) {
+    if (latestChains.has(key)) continue;
+    const [symbol, expiryDate] = key.split(':');
+    try {
+      rememberChain(symbol, expiryDate, await fetchOptionChain(symbol, expiryDate));
+    } catch (error) {
+      console.error(`Error fetching ${key} chain for paper portfolio:`, error.message);
+    }
+  }
+
+  const greeks = { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  let unrealizedPnl = 0;
+  let marketValue = 0;
+
+  const rows = held.map((position) => {
+    const chain = position.quantity !== 0 ? latestChains.get(chainKey(position.symbol, position.expiryDate)) : null;
+    const leg = chain ? chainLeg(chain, position) : null;
+    const ltp = leg?.ltp > 0 ? leg.ltp : null;
+    const unit = ltp ? contractGreeks(position, leg, chain.underlyingPrice, now) : null;
+
+    const unrealized = ltp ? roundMoney((ltp - position.averagePrice) * position.quantity) : null;
+    if (unrealized !== null) {
+      unrealizedPnl += unrealized;
+      marketValue += ltp * position.quantity;
+    }
+
+    let positionGreeksTotal = null;
+    if (unit) {
+      positionGreeksTotal = {};
+      Object.keys(greeks).forEach((name) => {
+        positionGreeksTotal[name] = unit[name] * position.quantity;
+        greeks[name] += positionGreeksTotal[name];
+      });
+    }
+
+    return {
+      id: position.id,
+      symbol: position.symbol,
+      expiryDate: position.expiryDate,
+      optionType: position.optionType,
+      strike: position.strike,
+      quantity: position.quantity,
+      lots: position.quantity / position.lotSize,
+      averagePrice: roundMoney(position.averagePrice),
+      ltp,
+      unrealizedPnl: unrealized,
+      realizedPnl: position.realizedPnl,
+      charges: position.charges,
+      iv: unit ? unit.iv * 100 : null,
+      greeks: positionGreeksTotal,
+      settledAt: position.settledAt || null
+    };
+  });
+
+  const margin = marginUsed(userId);
+  return {
+    userId,
+    funds: {
+      startingFunds: account.startingFunds,
+      balance: account.balance,
+      marginUsed: roundMoney(margin),
+      availableFunds: roundMoney(account.balance - margin)
+    },
+    positions: rows,
+    greeks,
+    pnl: {
+      realized: account.realizedPnl,
+      unrealized: roundMoney(unrealizedPnl),
+      charges: account.chargesPaid,
+      total: roundMoney(account.balance + marketValue - account.startingFunds)
+    },
+    stale: [...keys].some((key) => latestChains.get(key)?.stale),
+    timestamp: new Date(now).toISOString()
+  };
+}
+
+// Settle open positions in an expiry against the underlying's spot: each is
+// closed at its intrinsic value, with no charges, and the expiry's cached
+// chain is dropped
+function settlePositions(symbol, expiryDate, spot, now) {
+  const settledAt = new Date(now).toISOString();
+  const settled = positions.find((position) => position.symbol === symbol
+    && position.expiryDate === expiryDate && position.quantity !== 0);
+
+  settled.forEach((position) => {
+    const price = roundMoney(position.optionType === 'CE'
+      ? Math.max(spot - position.strike, 0)
+      : Math.max(position.strike - spot, 0));
+    const realized = roundMoney((price - position.averagePrice) * position.quantity);
+    const account = getAccount(position.userId);
+
+    accounts.update(account.id, {
+      balance: roundMoney(account.balance + price * position.quantity),
+      realizedPnl: roundMoney(account.realizedPnl + realized)
+    });
+    positions.update(position.id, {
+      quantity: 0,
+      averagePrice: 0,
+      realizedPnl: roundMoney(position.realizedPnl + realized),
+      settlementPrice: price,
+      settledAt,
+      updatedAt: settledAt
+    });
+    trades.insert({
+      userId: position.userId,
+      orderId: null,
+      kind: 'settlement',
+      symbol,
+      expiryDate,
+      optionType: position.optionType,
+      strike: position.strike,
+      side: position.quantity > 0 ? 'sell' : 'buy',
+      quantity: Math.abs(position.quantity),
+      price,
+      spot,
+      charges: 0,
+      executedAt: settledAt
+    });
+    trimHistory(trades, position.userId, 'executedAt');
+  });
+
+  // The expiry no longer trades, so its last chain is not needed
+  latestChains.delete(chainKey(symbol, expiryDate));
+  return settled.length;
+}
+
+// End-of-day step, safe to run at any time:
+//   - pending orders past their session are cancelled
+//   - positions in expiries whose session has closed are settled against
+//     the underlying's close on expiry day, from its intraday candles;
+//     without that price they stay open and are retried on the next run
+//   - flat positions are dropped once the session they closed in is over
+// Returns counts of what changed.
+async function runEndOfDay(now = Date.now()) {
+  const expired = orders.find((order) => PENDING_STATUSES.includes(order.status) && Date.parse(order.validUntil) <= now);
+  expired.forEach((order) => updateOrder(order, { status: 'cancelled', reason: 'Order expired at market close' }, now));
+
+  const due = new Map();
+  positions.find((position) => position.quantity !== 0 && expiryClose(position.expiryDate) <= now)
+    .forEach((position) => due.set(chainKey(position.symbol, position.expiryDate), position));
+
+  let settled = 0;
+  for (const { symbol, expiryDate } of due.values()) {
+    try {
+      const close = await closeAsOf(symbol, expiryClose(expiryDate), now);
+      if (!(close > 0)) {
+        console.error(`Error settling ${symbol} ${expiryDate} paper positions: no closing price`);
+        continue;
+      }
+      settled += settlePositions(symbol, expiryDate, close, now);
+    } catch (error) {
+      console.error(`Error settling ${symbol} ${expiryDate} paper positions:`, error.message);
+    }
+  }
+
+  const session = latestSession(now);
+  const lastClose = session.close <= now ? session.close : sessionsBack(1, now).close;
+  const dropped = positions.removeWhere((position) => position.quantity === 0 && Date.parse(position.updatedAt) < lastClose);
+
+  if (expired.length || settled || dropped) paperEvents.emit('positionsChanged');
+  return { expiredOrders: expired.length, settledPositions: settled, droppedPositions: dropped };
+}
+
+module.exports = {
+  ORDER_TYPES,
+  paperEvents,
+  getAccount,
+  resetAccount,
+  placeOrder,
+  cancelOrder,
+  listOrders,
+  listTrades,
+  getPaperChannels,
+  processChain,
+  getPortfolio,
+  runEndOfDay
+};
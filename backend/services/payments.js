@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createCollection } = require('./store');
+const { PLANS } = require('./plans');
+const { getUser, updateUser } = require('./users');
+
+// Razorpay checkout for the paid plans.
+//
+// An order is created per purchase; the plan is activated once the payment
+// is confirmed, either by the client's checkout callback (signature over
+// order_id|payment_id) or by a webhook (signature over the raw body). Both
+// paths are idempotent. Each paid order buys SUBSCRIPTION_DAYS of access and
+// paying again while active extends it. Plans are prepaid and nothing
+// renews on its own, so a plan simply ends at planExpiresAt unless paid for
+// again. Switching plans while one is active carries the unused days over
+// at the new plan's price.
+//
+// RAZORPAY_BASE_URL can point at a local fake Razorpay for testing.
+
+const RAZORPAY_BASE_URL = process.env.RAZORPAY_BASE_URL || 'https://api.razorpay.com';
+const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID;
+const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET;
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+const SUBSCRIPTION_DAYS = 30;
+const REFUND_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const payments = createCollection('payments');
+
+const razorpayApi = axios.create({
+  baseURL: RAZORPAY_BASE_URL,
+  auth: { username: RAZORPAY_KEY_ID || '', password: RAZORPAY_KEY_SECRET || '' },
+  timeout: 10000
+});
+
+function hmac(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const NOT_CONFIGURED = { error: 'Payments are not configured', status: 503 };
+
+function isConfigured() {
+  return Boolean(RAZORPAY_KEY_ID && RAZORPAY_KEY_SECRET);
+}
+
+// The functions below return { error, status } for caller mistakes and
+// throw only when Razorpay itself fails.
+
+async function createOrder(user, planKey) {
+  if (!isConfigured()) return NOT_CONFIGURED;
+
+  const plan = PLANS[planKey];
+  if (!plan || !plan.pricePaise) return { error: 'plan must be pro or pro_plus', status: 400 };
+
+  const receipt = `rcpt_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+  const { data: order } = await razorpayApi.post('/v1/orders', {
+    amount: plan.pricePaise,
+    currency: 'INR',
+    receipt,
+    notes: { userId: user.id, plan: planKey }
+  });
+
+  payments.insert({
+    userId: user.id,
+    plan: planKey,
+    orderId: order.id,
+    receipt,
+    amount: order.amount,
+    currency: order.currency,
+    status: 'created',
+    paymentId: null,
+    createdAt: new Date().toISOString()
+  });
+
+  return {
+    order: {
+      keyId: RAZORPAY_KEY_ID,
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      plan: planKey,
+      planName: plan.name
+    }
+  };
+}
+
+// Mark the order's payment as paid and extend the user's plan.
+// Repeated confirmations of the same order are no-ops.
+function activatePayment(orderId, paymentId) {
+  const payment = payments.findOne((entry) => entry.orderId === orderId);
+  if (!payment) return { error: 'Unknown order', status: 404 };
+  if (payment.status === 'paid' || payment.status === 'refunded') return { payment };
+
+  const user = getUser(payment.userId);
+  if (!user) return { error: 'Unknown user', status: 404 };
+
+  const now = Date.now();
+  const currentExpiry = user.planExpiresAt ? Date.parse(user.planExpiresAt) : 0;
+  const active = currentExpiry > now && PLANS[user.plan]?.pricePaise > 0;
+  const renewing = active && user.plan === payment.plan;
+
+  // Unused time on another plan is worth the same amount on the new one
+  const carriedOver = active && !renewing
+    ? Math.round((currentExpiry - now) * (PLANS[user.plan].pricePaise / PLANS[payment.plan].pricePaise))
+    : 0;
+  const periodStart = renewing ? currentExpiry : now + carriedOver;
+  const periodEnd = periodStart + SUBSCRIPTION_DAYS * DAY_MS;
+
+  updateUser(user.id, {
+    plan: payment.plan,
+    planExpiresAt: new Date(periodEnd).toISOString(),
+    subscriptionStatus: 'active'
+  });
+
+  console.log(`✅ ${renewing ? 'Renewed' : 'Activated'} ${payment.plan} for user ${user.id}${carriedOver ? ` (${(carriedOver / DAY_MS).toFixed(1)} days carried over from ${user.plan})` : ''}`);
+
+  return {
+    payment: payments.update(payment.id, {
+      status: 'paid',
+      paymentId,
+      paidAt: new Date(now).toISOString(),
+      periodStart: new Date(periodStart).toISOString(),
+      periodEnd: new Date(periodEnd).toISOString(),
+      carriedOverMs: carriedOver
+    })
+  };
+}
+
+// Checkout callback: signature is HMAC(order_id|payment_id, key secret)
+function verifyCheckout(user, { razorpay_order_id: orderId, razorpay_payment_id: paymentId, razorpay_signature: signature }) {
+  if (!isConfigured()) return NOT_CONFIGURED;
+
+  if (!orderId || !paymentId || !signature) {
+    return { error: 'razorpay_order_id, razorpay_payment_id and razorpay_signature are required', status: 400 };
+  }
+
+  const payment = payments.findOne((entry) => entry.orderId === orderId);
+  if (!payment || payment.userId !== user.id) return { error: 'Unknown order', status: 404 };
+
+  if (!safeEqual(hmac(RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`), signature)) {
+    return { error: 'Invalid payment signature', status: 400 };
+  }
+
+  return activatePayment(orderId, paymentId);
+}
+
+// Request a refund of the latest payment within the refund window, once
+// per payment. The plan is cut back when Razorpay confirms it through the
+// webhook.
+async function requestRefund(userId) {
+  if (!isConfigured()) return NOT_CONFIGURED;
+
+  const payment = payments
+    .find((entry) => entry.userId === userId && entry.status === 'paid')
+    .sort((a, b) => b.paidAt.localeCompare(a.paidAt))[0];
+
+  if (!payment) return { error: 'No refundable payment found', status: 404 };
+  if (payment.refundRequestedAt) return { error: 'A refund for this payment is already in progress', status: 409 };
+  if (Date.now() - Date.parse(payment.paidAt) > REFUND_WINDOW_DAYS * DAY_MS) {
+    return { error: `Refunds are available within ${REFUND_WINDOW_DAYS} days of payment`, status: 400 };
+  }
+
+  // Claim the payment before calling Razorpay so concurrent requests
+  // cannot refund it twice
+  payments.update(payment.id, { refundRequestedAt: new Date().toISOString() });
+
+  let refund;
+  try {
+    ({ data: refund } = await razorpayApi.post(`/v1/payments/${payment.paymentId}/refund`, {
+      amount: payment.amount,
+      notes: { userId, orderId: payment.orderId }
+    }));
+  } catch (error) {
+    payments.update(payment.id, { refundRequestedAt: null });
+    throw error;
+  }
+
+  payments.update(payment.id, { refundId: refund.id });
+  return { refund: { refundId: refund.id, status: refund.status, amount: refund.amount } };
+}
+
+function applyRefund(paymentId) {
+  const payment = payments.findOne((entry) => entry.paymentId === paymentId);
+  if (!payment || payment.status === 'refunded') return;
+
+  payments.update(payment.id, { status: 'refunded', refundedAt: new Date().toISOString() });
+
+  // Take the refunded period off the current plan, converted at its price
+  // when the user has since switched plans and carried that period over.
+  // Periods stack, so this leaves whatever the user's other payments still
+  // cover, and revokes the plan when nothing is left.
+  const user = getUser(payment.userId);
+  if (!user || !(PLANS[user.plan]?.pricePaise > 0) || !user.planExpiresAt) return;
+
+  const period = (Date.parse(payment.periodEnd) - Date.parse(payment.periodStart))
+    * (PLANS[payment.plan].pricePaise / PLANS[user.plan].pricePaise);
+  const expiresAt = Date.parse(user.planExpiresAt) - period;
+  if (expiresAt > Date.now()) {
+    updateUser(user.id, { planExpiresAt: new Date(expiresAt).toISOString() });
+  } else {
+    updateUser(user.id, { plan: 'free', planExpiresAt: null, subscriptionStatus: 'refunded' });
+  }
+  console.log(`Refunded ${payment.plan} payment ${payment.paymentId} for user ${user.id}`);
+}
+
+function verifyWebhookSignature(rawBody, signature) {
+  if (!RAZORPAY_WEBHOOK_SECRET || !rawBody || !signature) return false;
+  return safeEqual(hmac(RAZORPAY_WEBHOOK_SECRET, rawBody), signature);
+}
+
+// Apply a verified webhook event. Unhandled events are acknowledged and ignored.
+function handleWebhookEvent(event) {
+  const paymentEntity = event.payload?.payment?.entity;
+
+  switch (event.event) {
+    case 'order.paid':
+    case 'payment.captured':
+      if (paymentEntity?.order_id) activatePayment(paymentEntity.order_id, paymentEntity.id);
+      break;
+
+    case 'payment.failed': {
+      const payment = payments.findOne((entry) => entry.orderId === paymentEntity?.order_id);
+      if (payment && payment.status === 'created') payments.update(payment.id, { status: 'failed' });
+      break;
+    }
+
+    case 'refund.processed':
+      applyRefund(event.payload?.refund?.entity?.payment_id);
+      break;
+
+    default:
+      break;
+  }
+}
+
+function listPayments(userId) {
+  return payments
+    .find((entry) => entry.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  createOrder,
+  verifyCheckout,
+  requestRefund,
+  verifyWebhookSignature,
+  handleWebhookEvent,
+  listPayments
+};
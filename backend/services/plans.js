@@ -0,0 +1,115 @@
+const { getRedisClient } = require('./cache');
+const { istDate, istDayStart } = require('./oiHistory');
+
+// Subscription tiers (monthly prices in paise) and daily API call accounting.
+// Calls are counted per user (or per IP for anonymous callers) per IST day,
+// in Redis when connected and in memory otherwise.
+
+const PLANS = {
+  free: {
+    name: 'Free',
+    pricePaise: 0,
+    dailyApiCalls: 100,
+    moversLimit: 5,
+    features: []
+  },
+  pro: {
+    name: 'Pro',
+    pricePaise: 49900,
+    dailyApiCalls: 1000,
+    moversLimit: 10,
+    features: ['greeks', 'maxpain', 'alerts']
+  },
+  pro_plus: {
+    name: 'Pro+',
+    pricePaise: 79900,
+    dailyApiCalls: null,
+    moversLimit: null,
+    features: ['greeks', 'maxpain', 'alerts', 'whatsappAlerts']
+  }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const memoryCounters = new Map();
+
+// Plan key in force for a user; lapsed paid plans fall back to free
+function getEffectivePlan(user, now = Date.now()) {
+  if (!user || !PLANS[user.plan]) return 'free';
+  if (user.planExpiresAt && Date.parse(user.planExpiresAt) <= now) return 'free';
+  return user.plan;
+}
+
+function hasFeature(user, feature) {
+  return PLANS[getEffectivePlan(user)].features.includes(feature);
+}
+
+// How many index movers a user may see; null means all of them
+function moversLimitFor(user) {
+  return PLANS[getEffectivePlan(user)].moversLimit;
+}
+
+// Cheapest plan that includes a feature, for upgrade prompts
+function planForFeature(feature) {
+  return Object.keys(PLANS).find((key) => PLANS[key].features.includes(feature)) || null;
+}
+
+function usageKey(subject, now) {
+  return `finop:usage:${subject}:${istDate(now)}`;
+}
+
+async function incrementUsage(subject, now = Date.now()) {
+  const key = usageKey(subject, now);
+
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const count = await redis.incr(key);
+      if (count === 1) await redis.pExpire(key, 2 * DAY_MS);
+      return count;
+    } catch (error) {
+      console.error('Redis usage count failed:', error.message);
+    }
+  }
+
+  // Counters from earlier days are no longer needed
+  const today = istDate(now);
+  memoryCounters.forEach((count, existing) => {
+    if (!existing.endsWith(today)) memoryCounters.delete(existing);
+  });
+
+  const count = (memoryCounters.get(key) || 0) + 1;
+  memoryCounters.set(key, count);
+  return count;
+}
+
+async function getUsage(subject, now = Date.now()) {
+  const key = usageKey(subject, now);
+
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      return parseInt(await redis.get(key), 10) || 0;
+    } catch (error) {
+      console.error('Redis usage read failed:', error.message);
+    }
+  }
+
+  return memoryCounters.get(key) || 0;
+}
+
+// Next IST midnight, when daily quotas reset
+function quotaResetAt(now = Date.now()) {
+  return istDayStart(now) + DAY_MS;
+}
+
+module.exports = {
+  PLANS,
+  getEffectivePlan,
+  hasFeature,
+  moversLimitFor,
+  planForFeature,
+  incrementUsage,
+  getUsage,
+  quotaResetAt
+};
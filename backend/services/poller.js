@@ -0,0 +1,429 @@
+const {
+  EXPIRY_DATE_PATTERN,
+  getUnderlying,
+  chainEvents,
+  fetchNearestExpiry,
+  fetchOptionChain
+} = require('./optionChain');
+const { getInstrument } = require('./instruments');
+const { fetchQuotes } = require('./quotes');
+const { computeMaxPain } = require('./maxPain');
+const { getAnalytics } = require('./analytics');
+const { getMarketStatus, isMarketActive } = require('./calendar');
+const { getConstituents, moverSymbols, computeMovers, limitMovers } = require('./movers');
+const { INTERVALS, recordQuote, loadHistory, hasHistory, candleAt, latestCandle } = require('./candles');
+
+// One shared market-data poller for all socket.io clients.
+//
+// Clients join channels (socket.io rooms) and only receive those updates:
+//   liveData                      NIFTY and SENSEX quotes ('liveData' event)
+//   quote:<symbol>                instrument quote ('quote' event)
+//   chain:<symbol>[:<expiry>]     normalised option chain ('optionChain' event)
+//   maxpain:<symbol>[:<expiry>]   max pain for the chain ('maxPain' event)
+//   analytics:<symbol>[:<expiry>] PCR, tug of war and OI walls ('analytics' event)
+//   movers:<index>[:<limit>]      top index movers by point contribution ('movers' event)
+//   candles:<symbol>:<interval>   in-progress and just-closed OHLCV candles ('candle' event)
+// Without an expiry, chain, maxpain and analytics channels follow the nearest expiry.
+// Movers channels default to MOVERS_DEFAULT_LIMIT rows.
+//
+// Only channels with at least one member, or tracked by the server (e.g.
+// for OI history), are polled. Quotes for every
+// subscribed symbol are fetched in one request per cycle; option chains
+// are fetched one at a time in rotation to respect Dhan's rate limit.
+//
+// Outside pre-open and market hours nothing moves, so each task runs at
+// most once per OFF_HOURS_INTERVAL (POLL_OFF_HOURS_INTERVAL_MS, 0 pauses
+// polling entirely once every channel has a snapshot). A newly subscribed
+// channel is polled at the normal rate for up to a minute until its first
+// snapshot arrives.
+//
+// With a live feed (see dhanFeed.js), quote and liveData instruments are
+// streamed instead: each tick is published as soon as it arrives and REST
+// polling only covers what the feed does not.
+
+const QUOTE_INTERVAL = 3000;
+const CHAIN_INTERVAL = 3000;
+const OFF_HOURS_INTERVAL = parseInt(process.env.POLL_OFF_HOURS_INTERVAL_MS || '300000', 10);
+const CATCH_UP_WINDOW = 60 * 1000;
+
+const DEFAULT_CHANNELS = ['liveData', 'maxpain:nifty', 'maxpain:sensex'];
+const CHAIN_CHANNEL_TYPES = ['chain', 'maxpain', 'analytics'];
+const MOVERS_DEFAULT_LIMIT = 5;
+const MOVERS_LIMIT_PATTERN = /^[1-9]\d?$/;
+const LIVE_DATA_SYMBOLS = ['nifty', 'sensex'];
+const FEED_MODE = process.env.DHAN_LIVE_FEED_MODE || 'quote';
+const FEED_SOURCE = 'Dhan Live Feed';
+const HISTORY_RETRY_MS = 60 * 1000;
+
+// Parse a channel name, returning null for anything we don't serve
+function parseChannel(channel) {
+  if (channel === 'liveData') return { type: 'liveData' };
+  if (typeof channel !== 'string') return null;
+
+  // Symbols must be registry keys so each instrument maps to one room
+  const [type, symbol, expiryDate, ...rest] = channel.split(':');
+  if (rest.length || getInstrument(symbol)?.key !== symbol) return null;
+
+  if (type === 'quote' && expiryDate === undefined) return { type, symbol };
+  if (type === 'candles' && INTERVALS[expiryDate]) return { type, symbol, interval: expiryDate };
+  if (type === 'movers' && getConstituents(symbol)
+    && (expiryDate === undefined || MOVERS_LIMIT_PATTERN.test(expiryDate))) {
+    return { type, symbol, limit: expiryDate ? parseInt(expiryDate, 10) : MOVERS_DEFAULT_LIMIT };
+  }
+  if (CHAIN_CHANNEL_TYPES.includes(type) && getUnderlying(symbol)
+    && (expiryDate === undefined || EXPIRY_DATE_PATTERN.test(expiryDate))) {
+    return { type, symbol, expiryDate: expiryDate || null };
+  }
+
+  return null;
+}
+
+function createMarketPoller(io, { feed = null } = {}) {
+  const snapshots = new Map();
+  const feedQuotes = new Map();
+  const candleChannels = new Map();
+  const historyAttempts = new Map();
+  const tracked = new Map();
+  let quoteTimer = null;
+  let chainTimer = null;
+  let chainCursor = 0;
+  let quotesInFlight = false;
+  let chainInFlight = false;
+  const lastRunAt = { quotes: 0, chain: 0 };
+  let missingSince = new Map();
+
+  function publish(channels, event, data) {
+    io.to(channels).emit(event, data);
+    channels.forEach((channel) => snapshots.set(channel, { event, data }));
+  }
+
+  // Subscribed channels plus those tracked server-side
+  function activeChannelNames() {
+    const names = new Set();
+    tracked.forEach((channels) => channels.forEach((channel) => names.add(channel)));
+    io.sockets.adapter.rooms.forEach((members, room) => {
+      if (members.size > 0 && parseChannel(room)) names.add(room);
+    });
+    return [...names];
+  }
+
+  function activeChannels() {
+    return activeChannelNames().map(parseChannel);
+  }
+
+  // Off hours a task runs on the slow interval, or sooner when a channel
+  // has nothing to show its subscribers yet. The catch-up lasts
+  // CATCH_UP_WINDOW per channel, so one that keeps failing falls back to
+  // the slow interval instead of polling all night.
+  function dueOffHours(task) {
+    const now = Date.now();
+    const missing = new Map();
+    activeChannelNames().forEach((channel) => {
+      if (!snapshots.has(channel)) missing.set(channel, missingSince.get(channel) || now);
+    });
+    missingSince = missing;
+    if ([...missing.values()].some((since) => now - since < CATCH_UP_WINDOW)) return true;
+    return OFF_HOURS_INTERVAL > 0 && now - lastRunAt[task] >= OFF_HOURS_INTERVAL;
+  }
+
+  // Streamed symbols are left to the feed once it has sent them a price
+  function streamed(symbol) {
+    return Boolean(feed) && feed.covers(getInstrument(symbol)) && feedQuotes.get(symbol)?.price !== undefined;
+  }
+
+  // Keep the feed subscribed to exactly the quote and liveData instruments
+  function syncFeed(quoteSymbols) {
+    if (!feed) return;
+    feed.setSubscriptions([...quoteSymbols].map(getInstrument), FEED_MODE);
+  }
+
+  // Publish the current candle for each subscribed interval of a symbol,
+  // first closing out the previous one when a new bucket has started
+  function publishCandles(symbol) {
+    (candleChannels.get(symbol) || []).forEach((interval) => {
+      const channel = `candles:${symbol}:${interval}`;
+      const candle = latestCandle(symbol, interval);
+      if (!candle) {
+        // Tell subscribers there is nothing yet, once
+        if (!snapshots.has(channel)) publish([channel], 'candle', { symbol, interval, candle: null, timestamp: new Date().toISOString() });
+        return;
+      }
+
+      const previous = snapshots.get(channel)?.data.candle;
+      if (previous && previous.time !== candle.time && !previous.closed) {
+        const closed = candleAt(symbol, interval, Date.parse(previous.time));
+        if (closed) publish([channel], 'candle', { symbol, interval, candle: closed, timestamp: new Date().toISOString() });
+      }
+      publish([channel], 'candle', { symbol, interval, candle, timestamp: new Date().toISOString() });
+    });
+  }
+
+  // Load intraday history for symbols with candle subscribers, retrying
+  // failures at most once a minute
+  function loadCandleHistory() {
+    candleChannels.forEach((intervals, symbol) => {
+      if (hasHistory(symbol) || Date.now() - (historyAttempts.get(symbol) || 0) < HISTORY_RETRY_MS) return;
+      historyAttempts.set(symbol, Date.now());
+
+      loadHistory(symbol)
+        .then(() => publishCandles(symbol))
+        .catch((error) => console.error(`Error loading ${symbol} candle history:`, error.message));
+    });
+  }
+
+  async function pollQuotes() {
+    const channels = activeChannels();
+    const quoteSymbols = new Set();
+    const moverChannels = new Map();
+    let liveData = false;
+
+    candleChannels.clear();
+    channels.forEach((channel) => {
+      if (channel.type === 'liveData') liveData = true;
+      if (channel.type === 'quote') quoteSymbols.add(channel.symbol);
+      if (channel.type === 'movers') moverChannels.set(`${channel.symbol}:${channel.limit}`, channel);
+      if (channel.type === 'candles') {
+        quoteSymbols.add(channel.symbol);
+        candleChannels.set(channel.symbol, (candleChannels.get(channel.symbol) || []).concat(channel.interval));
+      }
+    });
+    if (liveData) LIVE_DATA_SYMBOLS.forEach((symbol) => quoteSymbols.add(symbol));
+    syncFeed(quoteSymbols);
+    loadCandleHistory();
+
+    const polled = new Set([...quoteSymbols].filter((symbol) => !streamed(symbol)));
+    const symbols = new Set(polled);
+    moverChannels.forEach(({ symbol }) => moverSymbols(symbol).forEach((key) => symbols.add(key)));
+    if (symbols.size === 0) return;
+
+    try {
+      const quotes = await fetchQuotes([...symbols]);
+
+      Object.values(quotes).forEach((quote) => {
+        if (!polled.has(quote.symbol)) return;
+        publish([`quote:${quote.symbol}`], 'quote', quote);
+        recordQuote(quote);
+        publishCandles(quote.symbol);
+      });
+
+      if (liveData && polled.has('nifty') && polled.has('sensex') && quotes.nifty && quotes.sensex) {
+        publish(['liveData'], 'liveData', {
+          nifty: quotes.nifty,
+          sensex: quotes.sensex,
+          marketStatus: getMarketStatus().phase,
+          source: quotes.nifty.source,
+          stale: quotes.nifty.stale || quotes.sensex.stale,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const movers = new Map();
+      moverChannels.forEach(({ symbol, limit }) => {
+        if (!movers.has(symbol)) movers.set(symbol, computeMovers(symbol, quotes));
+        const names = limit === MOVERS_DEFAULT_LIMIT
+          ? [`movers:${symbol}`, `movers:${symbol}:${limit}`]
+          : [`movers:${symbol}:${limit}`];
+
+        publish(names, 'movers', {
+          symbol, limit, ...limitMovers(movers.get(symbol), limit), timestamp: new Date().toISOString()
+        });
+      });
+    } catch (error) {
+      console.error('Error polling quotes:', error.message);
+    }
+  }
+
+  async function pollNextChain() {
+    const targets = new Map();
+    activeChannels().forEach(({ type, symbol, expiryDate }) => {
+      if (!CHAIN_CHANNEL_TYPES.includes(type)) return;
+      targets.set(`${symbol}:${expiryDate || ''}`, { symbol, expiryDate });
+    });
+    if (targets.size === 0) return;
+
+    const list = [...targets.values()];
+    const { symbol, expiryDate } = list[chainCursor++ % list.length];
+
+    try {
+      const resolvedExpiry = expiryDate || await fetchNearestExpiry(symbol);
+      // Publishing happens in the chainEvents listener below
+      if (resolvedExpiry) await fetchOptionChain(symbol, resolvedExpiry);
+    } catch (error) {
+      console.error(`Error polling ${symbol} option chain:`, error.message);
+    }
+  }
+
+  // Merge a feed tick into the instrument's streamed quote and publish it.
+  // Fields the feed has not sent yet come from the last polled quote.
+  function onTick(tick, instrument) {
+    const { key } = instrument;
+    const state = { ...feedQuotes.get(key) };
+
+    if (tick.type === 'prevClose') state.prevClose = tick.prevClose;
+    if (['ticker', 'quote', 'full'].includes(tick.type)) {
+      state.price = tick.ltp;
+      state.lastTradeTime = tick.lastTradeTime || state.lastTradeTime;
+    }
+    if (tick.type === 'quote' || tick.type === 'full') {
+      Object.assign(state, { open: tick.open, high: tick.high, low: tick.low, volume: tick.volume });
+    }
+    feedQuotes.set(key, state);
+    if (state.price === undefined) return;
+
+    const polled = snapshots.get(`quote:${key}`)?.data || {};
+    const prevClose = state.prevClose || polled.prevClose || null;
+    const change = prevClose ? state.price - prevClose : null;
+    const quote = {
+      symbol: key,
+      tradingSymbol: instrument.symbol,
+      name: instrument.name,
+      price: state.price,
+      open: state.open ?? polled.open ?? null,
+      high: state.high ?? polled.high ?? null,
+      low: state.low ?? polled.low ?? null,
+      prevClose,
+      change,
+      changePercent: prevClose ? (change / prevClose) * 100 : null,
+      volume: state.volume ?? polled.volume ?? 0,
+      lastTradeTime: state.lastTradeTime || polled.lastTradeTime || null,
+      timestamp: new Date().toISOString(),
+      source: FEED_SOURCE,
+      stale: false
+    };
+    publish([`quote:${key}`], 'quote', quote);
+    recordQuote(quote);
+    publishCandles(key);
+
+    if (LIVE_DATA_SYMBOLS.includes(key)) {
+      const [nifty, sensex] = LIVE_DATA_SYMBOLS.map((symbol) => snapshots.get(`quote:${symbol}`)?.data);
+      if (nifty && sensex) {
+        publish(['liveData'], 'liveData', {
+          nifty,
+          sensex,
+          marketStatus: getMarketStatus().phase,
+          source: FEED_SOURCE,
+          stale: nifty.stale || sensex.stale,
+          timestamp: quote.timestamp
+        });
+      }
+    }
+  }
+
+  // Every chain fetch (poller or REST) refreshes chain and max pain subscribers.
+  // These fire only on fresh fetches, so the data is never stale. Chains
+  // fetched over REST also reach the bare chain:<symbol> channels when they
+  // are for the nearest expiry.
+  async function onChain({ symbol, expiryDate, underlyingPrice, optionChain, source }) {
+    const timestamp = new Date().toISOString();
+    let isNearest = false;
+    try {
+      isNearest = await fetchNearestExpiry(symbol) === expiryDate;
+    } catch (error) {
+      console.error(`Error resolving ${symbol} nearest expiry:`, error.message);
+    }
+    const channelsFor = (type) => (
+      isNearest ? [`${type}:${symbol}:${expiryDate}`, `${type}:${symbol}`] : [`${type}:${symbol}:${expiryDate}`]
+    );
+
+    publish(channelsFor('chain'), 'optionChain', {
+      symbol, expiryDate, underlyingPrice, optionChain, timestamp, source, stale: false
+    });
+    publish(channelsFor('maxpain'), 'maxPain', {
+      symbol, expiryDate, underlyingPrice, ...computeMaxPain(optionChain, underlyingPrice), timestamp, source, stale: false
+    });
+
+    getAnalytics({ symbol, expiryDate, underlyingPrice, optionChain })
+      .then((analytics) => publish(channelsFor('analytics'), 'analytics', { ...analytics, source, stale: false }))
+      .catch((error) => console.error(`Error computing ${symbol} analytics:`, error.message));
+  }
+
+  // Skip a cycle rather than stack requests when Dhan is slow
+  async function runExclusive(task) {
+    if (!isMarketActive() && !dueOffHours(task)) return;
+    lastRunAt[task] = Date.now();
+
+    if (task === 'quotes') {
+      if (quotesInFlight) return;
+      quotesInFlight = true;
+      try {
+        await pollQuotes();
+      } finally {
+        quotesInFlight = false;
+      }
+    } else {
+      if (chainInFlight) return;
+      chainInFlight = true;
+      try {
+        await pollNextChain();
+      } finally {
+        chainInFlight = false;
+      }
+    }
+  }
+
+  function runTask(task) {
+    runExclusive(task).catch((error) => console.error(`Error running ${task} poll:`, error.message));
+  }
+
+  // Join channels and send each one's latest snapshot. Returns the joined channels.
+  function subscribe(socket, channels) {
+    const joined = [].concat(channels || []).filter((channel) => parseChannel(channel));
+
+    joined.forEach((channel) => {
+      socket.join(channel);
+      const snapshot = snapshots.get(channel);
+      if (snapshot) socket.emit(snapshot.event, snapshot.data);
+    });
+
+    return joined;
+  }
+
+  function unsubscribe(socket, channels) {
+    const left = [].concat(channels || []).filter((channel) => socket.rooms.has(channel));
+    left.forEach((channel) => socket.leave(channel));
+    return left;
+  }
+
+  // Keep polling channels even with no subscribers. Each source (e.g.
+  // 'oiHistory', 'alerts') owns its list and replaces it on every call.
+  function track(source, channels) {
+    tracked.set(source, [].concat(channels).filter((channel) => parseChannel(channel)));
+  }
+
+  function start() {
+    if (quoteTimer) return;
+    chainEvents.on('chain', onChain);
+    if (feed) {
+      feed.on('tick', onTick);
+      feed.start();
+    }
+    quoteTimer = setInterval(() => runTask('quotes'), QUOTE_INTERVAL);
+    chainTimer = setInterval(() => runTask('chain'), CHAIN_INTERVAL);
+  }
+
+  function stop() {
+    chainEvents.off('chain', onChain);
+    if (feed) {
+      feed.off('tick', onTick);
+      feed.stop();
+    }
+    clearInterval(quoteTimer);
+    clearInterval(chainTimer);
+    quoteTimer = null;
+    chainTimer = null;
+  }
+
+  return {
+    start,
+    stop,
+    track,
+    subscribe,
+    unsubscribe
+  };
+}
+
+module.exports = {
+  DEFAULT_CHANNELS,
+  parseChannel,
+  createMarketPoller
+};
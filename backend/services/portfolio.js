@@ -0,0 +1,184 @@
+const { createCollection } = require('./store');
+const { DAYS_PER_YEAR, DEFAULT_RISK_FREE_RATE, yearsToExpiry, blackScholes } = require('./greeks');
+const { holdingsEvents, parseHolding, holdingKey, holdingChannels, priceHoldings } = require('./holdings');
+
+// Manual portfolio: positions users hold at their broker, entered by hand
+// as a holding (see holdings.js), a signed quantity in units (negative for
+// short) and an average price.
+//
+// Valuation marks each position to the live price and sums Greeks per
+// underlying and for the whole portfolio. Instruments count as delta 1 per
+// unit. Theta bleed is the expected change in value over the next calendar
+// day with spot and IV unchanged, which unlike theta stays accurate on
+// expiry day.
+
+const positions = createCollection('portfolioPositions');
+
+const MAX_POSITIONS = 100;
+const DAY_IN_YEARS = 1 / DAYS_PER_YEAR;
+const GREEKS = ['delta', 'gamma', 'theta', 'vega'];
+
+// Validate position fields. Returns { fields } or { error }.
+function parseFields(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || body.quantity !== undefined) {
+    if (!Number.isInteger(body.quantity) || body.quantity === 0) {
+      return { error: 'quantity must be a non-zero whole number of units (negative for short)' };
+    }
+    fields.quantity = body.quantity;
+  }
+  if (!partial || body.averagePrice !== undefined) {
+    if (typeof body.averagePrice !== 'number' || !(body.averagePrice >= 0)) {
+      return { error: 'averagePrice must be a non-negative number' };
+    }
+    fields.averagePrice = body.averagePrice;
+  }
+  if (body.notes !== undefined) {
+    if (body.notes !== null && (typeof body.notes !== 'string' || body.notes.length > 200)) {
+      return { error: 'notes must be a string of at most 200 characters' };
+    }
+    fields.notes = body.notes;
+  }
+
+  return { fields };
+}
+
+function listPositions(userId) {
+  return positions
+    .find((position) => position.userId === userId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Returns { position } or { error, status }
+async function addPosition(userId, body = {}) {
+  const { holding, error } = await parseHolding(body);
+  if (error) return { error, status: 400 };
+
+  const parsed = parseFields(body);
+  if (parsed.error) return { error: parsed.error, status: 400 };
+
+  const held = listPositions(userId);
+  if (held.some((position) => holdingKey(position) === holdingKey(holding))) {
+    return { error: 'Position already exists, update it instead', status: 409 };
+  }
+  if (held.length >= MAX_POSITIONS) return { error: `At most ${MAX_POSITIONS} positions are allowed`, status: 409 };
+
+  const now = new Date().toISOString();
+  const position = positions.insert({ userId, ...holding, ...parsed.fields, createdAt: now, updatedAt: now });
+  holdingsEvents.emit('changed', userId);
+  return { position };
+}
+
+// Change quantity, average price or notes. Returns { position } or { error, status }.
+function updatePosition(userId, id, body = {}) {
+  const position = positions.get(id);
+  if (!position || position.userId !== userId) return { error: 'Position not found', status: 404 };
+
+  const parsed = parseFields(body, { partial: true });
+  if (parsed.error) return { error: parsed.error, status: 400 };
+
+  return { position: positions.update(id, { ...parsed.fields, updatedAt: new Date().toISOString() }) };
+}
+
+function removePosition(userId, id) {
+  const position = positions.get(id);
+  if (!position || position.userId !== userId) return false;
+
+  positions.remove(id);
+  holdingsEvents.emit('changed', userId);
+  return true;
+}
+
+// Value lost (negative) or gained over the next day for an option position
+function thetaBleed(position, spot, iv, now) {
+  const type = position.optionType === 'CE' ? 'call' : 'put';
+  const timeToExpiry = yearsToExpiry(position.expiryDate, now);
+  const priceAt = (years) => blackScholes({
+    type, spot, strike: position.strike, timeToExpiry: years, volatility: iv, rate: DEFAULT_RISK_FREE_RATE
+  }).price;
+
+  return (priceAt(Math.max(timeToExpiry - DAY_IN_YEARS, 0)) - priceAt(timeToExpiry)) * position.quantity;
+}
+
+// Positions marked to market with position Greeks, Greeks per underlying
+// and portfolio totals
+async function valuePortfolio(userId, now = Date.now()) {
+  const held = listPositions(userId);
+  const prices = await priceHoldings(held, now);
+
+  const zero = () => ({ delta: 0, gamma: 0, theta: 0, vega: 0, thetaBleedPerDay: 0 });
+  const totals = { ...zero(), investedValue: 0, marketValue: 0, unrealizedPnl: 0 };
+  const byUnderlying = {};
+  let stale = false;
+
+  const rows = held.map((position) => {
+    const price = prices.get(holdingKey(position)) || null;
+    const ltp = price ? price.ltp : null;
+    stale = stale || Boolean(price?.stale);
+
+    const investedValue = position.averagePrice * position.quantity;
+    totals.investedValue += investedValue;
+
+    let greeks = null;
+    if (position.type === 'instrument') {
+      greeks = { delta: position.quantity, gamma: 0, theta: 0, vega: 0, thetaBleedPerDay: 0 };
+    } else if (price?.greeks) {
+      greeks = { thetaBleedPerDay: thetaBleed(position, price.spot, price.greeks.iv, now) };
+      GREEKS.forEach((name) => { greeks[name] = price.greeks[name] * position.quantity; });
+    }
+
+    if (greeks) {
+      byUnderlying[position.symbol] = byUnderlying[position.symbol] || zero();
+      Object.keys(greeks).forEach((name) => {
+        byUnderlying[position.symbol][name] += greeks[name];
+        totals[name] += greeks[name];
+      });
+    }
+
+    const marketValue = ltp !== null ? ltp * position.quantity : null;
+    const unrealizedPnl = ltp !== null ? marketValue - investedValue : null;
+    if (ltp !== null) {
+      totals.marketValue += marketValue;
+      totals.unrealizedPnl += unrealizedPnl;
+    }
+
+    return {
+      ...position,
+      key: holdingKey(position),
+      ltp,
+      change: price ? price.change : null,
+      spot: price?.spot ?? null,
+      iv: price?.greeks ? price.greeks.iv * 100 : null,
+      investedValue,
+      marketValue,
+      unrealizedPnl,
+      unrealizedPnlPercent: unrealizedPnl !== null && investedValue !== 0
+        ? (unrealizedPnl / Math.abs(investedValue)) * 100
+        : null,
+      greeks
+    };
+  });
+
+  return {
+    positions: rows,
+    byUnderlying,
+    totals,
+    unpriced: rows.filter((row) => row.ltp === null).map((row) => row.key),
+    stale,
+    timestamp: new Date(now).toISOString()
+  };
+}
+
+function portfolioChannels(userId) {
+  return holdingChannels(listPositions(userId));
+}
+
+module.exports = {
+  listPositions,
+  addPosition,
+  updatePosition,
+  removePosition,
+  valuePortfolio,
+  portfolioChannels
+};
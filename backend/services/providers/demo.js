@@ -0,0 +1,201 @@
+const { blackScholes, yearsToExpiry } = require('../greeks');
+const { isTradingDay, isMarketActive, ruleExpiries } = require('../calendar');
+
+// Deterministic demo market for development without Dhan credentials.
+//
+// Prices are smooth functions of the clock (a few overlapping sine waves
+// around a fixed base), so every process sees the same numbers at the same
+// moment and nothing depends on Math.random(). Outside market hours prices
+// hold at the last session's close. Option premiums come from
+// Black-Scholes over a simple volatility smile, and expiries from the
+// trading calendar's rules.
+
+const DEMO_MARKET = {
+  nifty: { base: 25000, strikeStep: 50, iv: 0.13 },
+  banknifty: { base: 56000, strikeStep: 100, iv: 0.15 },
+  finnifty: { base: 26500, strikeStep: 50, iv: 0.15 },
+  midcpnifty: { base: 13000, strikeStep: 25, iv: 0.17 },
+  sensex: { base: 82000, strikeStep: 100, iv: 0.13 },
+  indiavix: { base: 13, strikeStep: null, iv: null }
+};
+
+const STRIKES_EACH_SIDE = 15;
+const MINUTE_MS = 60 * 1000;
+
+function hash(text) {
+  let value = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 16777619);
+  }
+  return value >>> 0;
+}
+
+function roundToTick(price, tick = 0.05) {
+  return Number((Math.round(price / tick) * tick).toFixed(2));
+}
+
+function marketFor(key) {
+  return DEMO_MARKET[key] || { base: 200 + (hash(key) % 3000), strikeStep: null, iv: 0.25 };
+}
+
+// Fractional move from the base price at time t
+function drift(key, t) {
+  const seed = (hash(key) % 1000) / 1000 * 2 * Math.PI;
+  return 0.004 * Math.sin((2 * Math.PI * t) / (45 * MINUTE_MS) + seed)
+    + 0.0025 * Math.sin((2 * Math.PI * t) / (11 * MINUTE_MS) + 2 * seed)
+    + 0.001 * Math.sin((2 * Math.PI * t) / (97 * 1000) + 3 * seed);
+}
+
+function priceAt(key, t) {
+  return roundToTick(marketFor(key).base * (1 + drift(key, t)));
+}
+
+function istDay(t) {
+  return new Date(t + 330 * MINUTE_MS).toISOString().slice(0, 10);
+}
+
+// Start of the IST trading session containing t (09:15)
+function sessionStart(t) {
+  return Date.parse(`${istDay(t)}T09:15:00+05:30`);
+}
+
+// The clock prices are read at: now while the market is active, otherwise
+// the close (15:30 IST) of the latest session
+function marketTime(now) {
+  if (isMarketActive(now)) return now;
+
+  let day = istDay(now);
+  while (!isTradingDay(day) || Date.parse(`${day}T15:30:00+05:30`) > now) {
+    day = istDay(Date.parse(`${day}T00:00:00+05:30`) - MINUTE_MS);
+  }
+  return Date.parse(`${day}T15:30:00+05:30`);
+}
+
+function demoQuote(instrument, now) {
+  const { key } = instrument;
+  const at = marketTime(now);
+  const from = Math.min(sessionStart(at), at);
+
+  // High and low from five-minute samples since the open
+  const samples = [];
+  for (let t = from; t <= at; t += 5 * MINUTE_MS) samples.push(priceAt(key, t));
+  const price = priceAt(key, at);
+  samples.push(price);
+
+  const prevClose = roundToTick(marketFor(key).base);
+  const change = price - prevClose;
+
+  return {
+    symbol: key,
+    tradingSymbol: instrument.symbol,
+    name: instrument.name,
+    price,
+    open: priceAt(key, from),
+    high: Math.max(...samples),
+    low: Math.min(...samples),
+    prevClose,
+    change,
+    changePercent: (change / prevClose) * 100,
+    volume: instrument.instrumentType === 'INDEX' ? 0 : Math.round((at - from) / 1000) * 37,
+    lastTradeTime: new Date(at).toISOString(),
+    timestamp: new Date(now).toISOString()
+  };
+}
+
+// Open interest concentrated a few strikes out of the money on each side
+function demoOi(strike, spot, step, side, t) {
+  const peak = side === 'call' ? spot + 4 * step : spot - 4 * step;
+  const shape = Math.exp(-(((strike - peak) / (6 * step)) ** 2));
+  const wobble = 1 + 0.1 * Math.sin(t / (10 * MINUTE_MS) + strike / step);
+  return Math.round(8000000 * shape * wobble / 75) * 75;
+}
+
+function demoLeg(type, strike, spot, expiryDate, market, t) {
+  const timeToExpiry = yearsToExpiry(expiryDate, t);
+  const moneyness = Math.log(strike / spot);
+  const volatility = market.iv * (1 - 1.5 * moneyness + 25 * moneyness * moneyness);
+  const ltp = Math.max(roundToTick(blackScholes({ type, spot, strike, timeToExpiry, volatility }).price), 0.05);
+
+  const oi = demoOi(strike, spot, market.strikeStep, type, t);
+  const previousOi = demoOi(strike, spot, market.strikeStep, type, sessionStart(t));
+
+  return {
+    ltp,
+    prevClose: ltp,
+    oi,
+    oiChange: oi - previousOi,
+    volume: Math.round(oi * 0.6),
+    iv: volatility,
+    bid: Math.max(roundToTick(ltp - 0.05), 0.05),
+    bidQty: 75 * (1 + (hash(`${strike}${type}b`) % 20)),
+    ask: roundToTick(ltp + 0.05),
+    askQty: 75 * (1 + (hash(`${strike}${type}a`) % 20))
+  };
+}
+
+async function fetchExpiryList(underlying) {
+  return ruleExpiries(underlying, { count: 4 });
+}
+
+async function fetchOptionChain(underlying, expiryDate) {
+  const market = marketFor(underlying.key);
+  const step = market.strikeStep || 50;
+  const now = marketTime(Date.now());
+  const spot = priceAt(underlying.key, now);
+  const atm = Math.round(spot / step) * step;
+
+  const optionChain = [];
+  for (let i = -STRIKES_EACH_SIDE; i <= STRIKES_EACH_SIDE; i++) {
+    const strike = atm + i * step;
+    optionChain.push({
+      strike,
+      call: demoLeg('call', strike, spot, expiryDate, { ...market, strikeStep: step }, now),
+      put: demoLeg('put', strike, spot, expiryDate, { ...market, strikeStep: step }, now)
+    });
+  }
+
+  return { underlyingPrice: spot, optionChain };
+}
+
+// One-minute bars sampled from the price curve, up to the market clock
+async function fetchIntradayCandles(instrument, { from, to }) {
+  const { key } = instrument;
+  const until = Math.min(to, marketTime(Date.now()));
+  const candles = [];
+
+  for (let time = Math.ceil(from / MINUTE_MS) * MINUTE_MS; time + MINUTE_MS <= until; time += MINUTE_MS) {
+    if (!isMarketActive(time) || time < sessionStart(time)) continue;
+
+    const prices = [0, 15, 30, 45, 59].map((second) => priceAt(key, time + second * 1000));
+    candles.push({
+      time,
+      open: prices[0],
+      high: Math.max(...prices),
+      low: Math.min(...prices),
+      close: prices[prices.length - 1],
+      volume: instrument.instrumentType === 'INDEX' ? 0 : 37 * 60
+    });
+  }
+
+  return candles;
+}
+
+async function fetchQuotes(instruments) {
+  const now = Date.now();
+  const quotes = {};
+  instruments.forEach((instrument) => {
+    quotes[instrument.key] = demoQuote(instrument, now);
+  });
+  return quotes;
+}
+
+module.exports = {
+  name: 'demo',
+  source: 'Demo Data',
+  now: () => Date.now(),
+  fetchExpiryList,
+  fetchOptionChain,
+  fetchQuotes,
+  fetchIntradayCandles
+};
@@ -0,0 +1,162 @@
+const { dhanPost } = require('../dhan');
+
+// Live market data from the Dhan v2 REST API.
+
+// Dhan's marketfeed endpoints accept up to 1000 instruments per request
+const MAX_INSTRUMENTS_PER_REQUEST = 1000;
+
+async function fetchExpiryList(underlying) {
+  const data = await dhanPost('/v2/optionchain/expirylist', {
+    UnderlyingScrip: underlying.securityId,
+    UnderlyingSeg: underlying.segment
+  });
+
+  return (Array.isArray(data) ? data : []).slice().sort();
+}
+
+async function fetchOptionChain(underlying, expiryDate) {
+  const data = await dhanPost('/v2/optionchain', {
+    UnderlyingScrip: underlying.securityId,
+    UnderlyingSeg: underlying.segment,
+    Expiry: expiryDate
+  });
+
+  return normalizeOptionChain(data);
+}
+
+// Quotes for registered instruments, batched into as few marketfeed
+// requests as possible. Uses Dhan's full quote mode so each quote carries
+// OHLC, previous close and the last trade time alongside the LTP.
+// Instruments missing from the response are left out.
+async function fetchQuotes(instruments) {
+  const quotes = {};
+
+  for (let i = 0; i < instruments.length; i += MAX_INSTRUMENTS_PER_REQUEST) {
+    const batch = instruments.slice(i, i + MAX_INSTRUMENTS_PER_REQUEST);
+    const request = {};
+    batch.forEach(({ segment, securityId }) => {
+      request[segment] = (request[segment] || []).concat(securityId);
+    });
+
+    const data = await dhanPost('/v2/marketfeed/quote', request);
+    const timestamp = new Date().toISOString();
+
+    batch.forEach((instrument) => {
+      const raw = data?.[instrument.segment]?.[instrument.securityId];
+      if (!raw || raw.last_price === undefined) return;
+
+      quotes[instrument.key] = normalizeQuote(instrument, raw, timestamp);
+    });
+  }
+
+  return quotes;
+}
+
+// One-minute bars between two timestamps from Dhan's intraday charts API,
+// as [{ time, open, high, low, close, volume }] with time in epoch ms
+async function fetchIntradayCandles(instrument, { from, to }) {
+  const data = await dhanPost('/v2/charts/intraday', {
+    securityId: String(instrument.securityId),
+    exchangeSegment: instrument.segment,
+    instrument: instrument.instrumentType,
+    interval: '1',
+    oi: false,
+    fromDate: istDateTime(from),
+    toDate: istDateTime(to)
+  });
+
+  const { timestamp = [], open = [], high = [], low = [], close = [], volume = [] } = data || {};
+  return timestamp.map((time, i) => ({
+    time: time * 1000,
+    open: open[i],
+    high: high[i],
+    low: low[i],
+    close: close[i],
+    volume: volume[i] || 0
+  }));
+}
+
+// "YYYY-MM-DD HH:mm:ss" in IST, as the charts API expects
+function istDateTime(timestamp) {
+  return new Date(timestamp + 330 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Convert one side (ce/pe) of a Dhan strike into our schema.
+// Dhan reports implied volatility in percent; we return it as a fraction.
+function normalizeLeg(leg) {
+  if (!leg) return null;
+
+  const oi = leg.oi || 0;
+  return {
+    ltp: leg.last_price || 0,
+    prevClose: leg.previous_close_price || 0,
+    oi,
+    oiChange: oi - (leg.previous_oi || 0),
+    volume: leg.volume || 0,
+    iv: leg.implied_volatility ? leg.implied_volatility / 100 : null,
+    bid: leg.top_bid_price || 0,
+    bidQty: leg.top_bid_quantity || 0,
+    ask: leg.top_ask_price || 0,
+    askQty: leg.top_ask_quantity || 0
+  };
+}
+
+function normalizeOptionChain(data = {}) {
+  const strikes = Object.entries(data.oc || {})
+    .map(([strike, legs]) => ({
+      strike: parseFloat(strike),
+      call: normalizeLeg(legs.ce),
+      put: normalizeLeg(legs.pe)
+    }))
+    .sort((a, b) => a.strike - b.strike);
+
+  return {
+    underlyingPrice: data.last_price || null,
+    optionChain: strikes
+  };
+}
+
+// Dhan's last_trade_time is "DD/MM/YYYY HH:mm:ss" in IST
+function parseTradeTime(value) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4}) (\d{2}:\d{2}:\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [, day, month, year, time] = match;
+  const date = new Date(`${year}-${month}-${day}T${time}+05:30`);
+  // Dhan sends 01/01/1980 when an instrument has not traded
+  return Number.isNaN(date.getTime()) || date.getFullYear() < 2000 ? null : date.toISOString();
+}
+
+// Change is measured from the previous session's close (ohlc.close)
+function normalizeQuote({ key, symbol, name }, raw, timestamp) {
+  const ohlc = raw.ohlc || {};
+  const price = raw.last_price;
+  const prevClose = ohlc.close || null;
+  const change = prevClose ? price - prevClose : null;
+
+  return {
+    symbol: key,
+    tradingSymbol: symbol,
+    name,
+    price,
+    open: ohlc.open || null,
+    high: ohlc.high || null,
+    low: ohlc.low || null,
+    prevClose,
+    change,
+    changePercent: prevClose ? (change / prevClose) * 100 : null,
+    volume: raw.volume || 0,
+    lastTradeTime: parseTradeTime(raw.last_trade_time),
+    timestamp
+  };
+}
+
+module.exports = {
+  name: 'dhan',
+  source: 'Dhan API',
+  now: () => Date.now(),
+  fetchExpiryList,
+  fetchOptionChain,
+  fetchQuotes,
+  fetchIntradayCandles
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+
+// Market data provider selection.
+//
+// MARKET_DATA_PROVIDER picks where expiries, option chains and quotes come
+// from: 'dhan' (live, the default), 'demo' (deterministic generated data) or
+// 'replay' (a file recorded earlier). Every provider exposes the same
+// interface:
+//
+//   name, source              identifiers; source is sent to clients
+//   now()                     the provider's clock (recorded time for replay)
+//   fetchExpiryList(underlying)              -> ['YYYY-MM-DD', ...]
+//   fetchOptionChain(underlying, expiryDate) -> { underlyingPrice, optionChain }
+//   fetchQuotes(instruments)                 -> { [key]: quote }
+//   fetchIntradayCandles(instrument, { from, to })
+//                                            -> [{ time, open, high, low, close, volume }] (1m bars)
+//
+// With MARKET_DATA_RECORD_FILE set, everything fetched is also appended to
+// that file in the format the replay provider reads.
+
+const PROVIDERS = ['dhan', 'demo', 'replay'];
+
+let provider = null;
+
+function record(method, key, data) {
+  const line = JSON.stringify({ t: Date.now(), method, key, data });
+  fs.appendFile(process.env.MARKET_DATA_RECORD_FILE, `${line}\n`, (error) => {
+    if (error) console.error('Error recording market data:', error.message);
+  });
+}
+
+function withRecording(base) {
+  return {
+    ...base,
+    async fetchExpiryList(underlying) {
+      const expiries = await base.fetchExpiryList(underlying);
+      record('expiries', underlying.key, expiries);
+      return expiries;
+    },
+    async fetchOptionChain(underlying, expiryDate) {
+      const chain = await base.fetchOptionChain(underlying, expiryDate);
+      record('chain', `${underlying.key}:${expiryDate}`, chain);
+      return chain;
+    },
+    async fetchQuotes(instruments) {
+      const quotes = await base.fetchQuotes(instruments);
+      Object.entries(quotes).forEach(([key, quote]) => record('quote', key, quote));
+      return quotes;
+    },
+    async fetchIntradayCandles(instrument, range) {
+      const candles = await base.fetchIntradayCandles(instrument, range);
+      record('candles', instrument.key, candles);
+      return candles;
+    }
+  };
+}
+
+// The configured provider, loaded on first use
+function getProvider() {
+  if (provider) return provider;
+
+  const name = (process.env.MARKET_DATA_PROVIDER || 'dhan').toLowerCase();
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(`Unknown MARKET_DATA_PROVIDER "${name}" (expected ${PROVIDERS.join(', ')})`);
+  }
+
+  const base = require(`./${name}`);
+  provider = process.env.MARKET_DATA_RECORD_FILE && name !== 'replay' ? withRecording(base) : base;
+  console.log(`✅ Market data provider: ${base.source}${process.env.MARKET_DATA_RECORD_FILE ? ' (recording)' : ''}`);
+  return provider;
+}
+
+module.exports = {
+  getProvider
+};
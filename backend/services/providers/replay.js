@@ -0,0 +1,101 @@
+const fs = require('fs');
+
+// Replays market data recorded with MARKET_DATA_RECORD_FILE.
+//
+// REPLAY_FILE is a JSON-lines file of { t, method, key, data } entries.
+// Playback starts at the first entry when the provider is loaded and runs at
+// REPLAY_SPEED times real time, looping once it passes the last entry. Each
+// request is answered with the latest entry for that method and key at or
+// before the playback clock, so polling sees the recording unfold as it did
+// live.
+
+const REPLAY_SPEED = parseFloat(process.env.REPLAY_SPEED || '1');
+
+function loadRecording(file) {
+  if (!file) throw new Error('REPLAY_FILE is required for the replay provider');
+
+  const timelines = new Map();
+  let first = Infinity;
+  let last = -Infinity;
+
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1} of ${file}`);
+    }
+
+    const timelineKey = `${entry.method}:${entry.key}`;
+    if (!timelines.has(timelineKey)) timelines.set(timelineKey, []);
+    timelines.get(timelineKey).push(entry);
+    first = Math.min(first, entry.t);
+    last = Math.max(last, entry.t);
+  });
+
+  if (timelines.size === 0) throw new Error(`No recorded entries in ${file}`);
+  timelines.forEach((entries) => entries.sort((a, b) => a.t - b.t));
+
+  return { timelines, first, duration: last - first };
+}
+
+const recording = loadRecording(process.env.REPLAY_FILE);
+const startedAt = Date.now();
+
+// Recorded time the playback has reached
+function now() {
+  const elapsed = (Date.now() - startedAt) * REPLAY_SPEED;
+  return recording.first + (recording.duration > 0 ? elapsed % (recording.duration + 1) : 0);
+}
+
+// Latest entry for method/key at or before the playback clock, falling back
+// to the first one when playback has not reached it yet
+function lookup(method, key) {
+  const entries = recording.timelines.get(`${method}:${key}`);
+  if (!entries) throw new Error(`No recorded ${method} data for ${key}`);
+
+  const at = now();
+  let match = entries[0];
+  for (const entry of entries) {
+    if (entry.t > at) break;
+    match = entry;
+  }
+  return match.data;
+}
+
+async function fetchExpiryList(underlying) {
+  return lookup('expiries', underlying.key);
+}
+
+async function fetchOptionChain(underlying, expiryDate) {
+  return lookup('chain', `${underlying.key}:${expiryDate}`);
+}
+
+// Bars recorded for an instrument, or none when the recording has no charts
+async function fetchIntradayCandles(instrument) {
+  if (!recording.timelines.has(`candles:${instrument.key}`)) return [];
+  return lookup('candles', instrument.key);
+}
+
+// Instruments that were never recorded are left out, as with a live feed
+async function fetchQuotes(instruments) {
+  const quotes = {};
+  instruments.forEach((instrument) => {
+    if (recording.timelines.has(`quote:${instrument.key}`)) {
+      quotes[instrument.key] = lookup('quote', instrument.key);
+    }
+  });
+  return quotes;
+}
+
+module.exports = {
+  name: 'replay',
+  source: 'Replay',
+  now,
+  fetchExpiryList,
+  fetchOptionChain,
+  fetchQuotes,
+  fetchIntradayCandles
+};
@@ -0,0 +1,28 @@
+const { cachedEntry } = require('./cache');
+const { getInstrument } = require('./instruments');
+const { getProvider } = require('./providers');
+
+// Fetch quotes for registered instruments from the market data provider.
+// Returns quotes keyed by instrument key, each carrying the provider's
+// source and whether it is a stale cached copy; unknown symbols and
+// instruments missing from the response are left out.
+async function fetchQuotes(symbols) {
+  const instruments = [...new Map(
+    symbols.map(getInstrument).filter(Boolean).map((instrument) => [instrument.key, instrument])
+  ).values()];
+  if (instruments.length === 0) return {};
+
+  const provider = getProvider();
+  const key = instruments.map((instrument) => instrument.key).sort().join(',');
+  const { value, stale } = await cachedEntry('ltp', key, () => provider.fetchQuotes(instruments));
+
+  const quotes = {};
+  Object.entries(value).forEach(([symbol, quote]) => {
+    quotes[symbol] = { ...quote, source: provider.source, stale };
+  });
+  return quotes;
+}
+
+module.exports = {
+  fetchQuotes
+};
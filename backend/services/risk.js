@@ -0,0 +1,117 @@
+const { estimateCharges } = require('./charges');
+
+// Position sizing and per-trade risk with charges included.
+// Direction follows the stop: a stop below entry is a long trade.
+// Capital deployed is the premium for options, the full value for delivery,
+// and an approximate margin for futures and intraday equity.
+
+const DEPLOYED_FRACTION = {
+  options: 1,
+  futures: 0.12,
+  equity_intraday: 0.2,
+  equity_delivery: 1
+};
+
+const NO_CHARGES = { brokerage: 0, stt: 0, exchangeCharges: 0, sebiFees: 0, gst: 0, stampDuty: 0, total: 0 };
+
+const INDEX_SEGMENTS = ['options', 'futures'];
+const EQUITY_SEGMENTS = ['equity_intraday', 'equity_delivery'];
+
+// Segment for an instrument, defaulting to options for indices and
+// intraday for stocks. Returns { segment } or { error }.
+function resolveSegment(instrument, requested) {
+  const allowed = instrument.instrumentType === 'INDEX' ? INDEX_SEGMENTS : EQUITY_SEGMENTS;
+  const segment = requested || allowed[0];
+
+  if (!allowed.includes(segment)) {
+    return { error: `segment for ${instrument.symbol} must be one of ${allowed.join(', ')}` };
+  }
+  if (instrument.instrumentType === 'INDEX' && !instrument.lotSize) {
+    return { error: `${instrument.symbol} has no derivatives to trade` };
+  }
+  return { segment };
+}
+
+// Risk, reward and charges for a fixed quantity
+function evaluateTrade({ capital, entry, stopLoss, target, quantity, segment, exchange }) {
+  const direction = stopLoss < entry ? 'long' : 'short';
+  const chargesAt = (exit) => (quantity === 0 ? NO_CHARGES : estimateCharges({
+    segment,
+    exchange,
+    buyValue: (direction === 'long' ? entry : exit) * quantity,
+    sellValue: (direction === 'long' ? exit : entry) * quantity
+  }));
+
+  const stopCharges = chargesAt(stopLoss);
+  const grossRisk = Math.abs(entry - stopLoss) * quantity;
+  const netRisk = grossRisk + stopCharges.total;
+  const capitalDeployed = entry * quantity * DEPLOYED_FRACTION[segment];
+  const scratchCharges = quantity > 0 ? chargesAt(entry).total / quantity : 0;
+
+  const result = {
+    direction,
+    quantity,
+    grossRisk,
+    netRisk,
+    riskPercentOfCapital: (netRisk / capital) * 100,
+    capitalDeployed,
+    capitalDeployedPercent: (capitalDeployed / capital) * 100,
+    breakevenPrice: direction === 'long' ? entry + scratchCharges : entry - scratchCharges,
+    charges: { atStop: stopCharges },
+    grossReward: null,
+    netReward: null,
+    rewardRisk: null
+  };
+
+  if (target !== undefined) {
+    const targetCharges = chargesAt(target);
+    result.grossReward = Math.abs(target - entry) * quantity;
+    result.netReward = result.grossReward - targetCharges.total;
+    result.rewardRisk = netRisk > 0 ? result.netReward / netRisk : null;
+    result.charges.atTarget = targetCharges;
+  }
+
+  return result;
+}
+
+// Largest whole number of lots whose net risk stays within riskPercent of
+// capital and whose deployed capital fits in capital
+function sizePosition({ capital, riskPercent, entry, stopLoss, target, lotSize, segment, exchange }) {
+  const riskBudget = capital * (riskPercent / 100);
+  const trade = (lots) => evaluateTrade({
+    capital, entry, stopLoss, target, quantity: lots * lotSize, segment, exchange
+  });
+  const fits = (lots) => {
+    const result = trade(lots);
+    return result.netRisk <= riskBudget && result.capitalDeployed <= capital;
+  };
+
+  // Net risk and deployed capital both grow with size, so binary search
+  let low = 0;
+  let high = Math.floor(riskBudget / (Math.abs(entry - stopLoss) * lotSize));
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (fits(mid)) low = mid; else high = mid - 1;
+  }
+
+  const result = trade(low);
+  let limitedBy = null;
+  if (low === 0) {
+    limitedBy = trade(1).netRisk > riskBudget ? 'risk' : 'capital';
+  }
+
+  return {
+    lots: low,
+    lotSize,
+    riskBudget,
+    riskPerUnit: Math.abs(entry - stopLoss),
+    limitedBy,
+    ...result
+  };
+}
+
+module.exports = {
+  resolveSegment,
+  evaluateTrade,
+  sizePosition
+};
@@ -0,0 +1,126 @@
+const { DAYS_PER_YEAR, DEFAULT_RISK_FREE_RATE, blackScholes } = require('./greeks');
+const { istDate } = require('./oiHistory');
+const { toPositions, legPnl, describePosition } = require('./strategy');
+
+// What-if P&L for a priced position across spot, implied volatility and time.
+// The grid is laid out for heatmaps: one row per (ivShift, daysForward) pair
+// with a P&L value per spot level. IV shifts are in volatility points.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_VOLATILITY = 0.01;
+
+const DEFAULT_SPOT_RANGE_PERCENT = 5;
+const DEFAULT_SPOT_STEPS = 21;
+const DEFAULT_IV_SHIFTS = [-5, -2.5, 0, 2.5, 5];
+
+const LIMITS = {
+  spotSteps: 101,
+  ivShifts: 11,
+  daysForward: 31
+};
+
+// Evenly spaced spot levels centred on the current spot
+function spotLevels(spot, rangePercent, steps) {
+  const low = spot * (1 - rangePercent / 100);
+  const step = (spot * 2 * rangePercent / 100) / (steps - 1);
+  return Array.from({ length: steps }, (_, i) => Math.round(low + step * i));
+}
+
+// Whole days from today up to the last expiry, thinned to at most `count` points
+function defaultDaysForward(daysToExpiry, count = 6) {
+  const lastDay = Math.max(Math.floor(daysToExpiry), 0);
+  if (lastDay < count) return Array.from({ length: lastDay + 1 }, (_, i) => i);
+
+  const days = new Set();
+  for (let i = 0; i < count; i++) days.add(Math.round((lastDay * i) / (count - 1)));
+  return [...days];
+}
+
+// P&L of all positions at a spot level, IV shift and point in time (years from now)
+function positionPnl(positions, spot, ivShift, elapsed, rate) {
+  return positions.reduce((sum, leg) => {
+    const shifted = { ...leg, iv: Math.max(leg.iv + ivShift / 100, MIN_VOLATILITY) };
+    return sum + legPnl(shifted, spot, leg.timeToExpiry - elapsed, rate);
+  }, 0);
+}
+
+// Mark-to-model value and theta each calendar day through to the last expiry,
+// at the current spot and IV
+function thetaSchedule(positions, spot, rate, now) {
+  const daysToExpiry = Math.max(...positions.map((leg) => leg.timeToExpiry)) * DAYS_PER_YEAR;
+  const schedule = [];
+  let previousPnl = null;
+
+  for (let day = 0; day <= Math.ceil(daysToExpiry); day++) {
+    const elapsedDays = Math.min(day, daysToExpiry);
+    const elapsed = elapsedDays / DAYS_PER_YEAR;
+
+    const pnl = positionPnl(positions, spot, 0, elapsed, rate);
+    const theta = positions.reduce((sum, leg) => {
+      const remaining = leg.timeToExpiry - elapsed;
+      if (remaining <= 0) return sum;
+      return sum + blackScholes({
+        type: leg.type, spot, strike: leg.strike, timeToExpiry: remaining, volatility: leg.iv, rate
+      }).theta * leg.quantity;
+    }, 0);
+
+    schedule.push({
+      day,
+      date: istDate(now + elapsedDays * DAY_MS),
+      pnl,
+      theta,
+      decay: previousPnl === null ? 0 : pnl - previousPnl
+    });
+    previousPnl = pnl;
+  }
+
+  return schedule;
+}
+
+function buildScenario({
+  legs,
+  spot,
+  lotSize,
+  rate = DEFAULT_RISK_FREE_RATE,
+  spotRangePercent = DEFAULT_SPOT_RANGE_PERCENT,
+  spotSteps = DEFAULT_SPOT_STEPS,
+  ivShifts = DEFAULT_IV_SHIFTS,
+  daysForward,
+  now = Date.now()
+}) {
+  const positions = toPositions(legs, lotSize, now);
+  const daysToExpiry = Math.max(...positions.map((leg) => leg.timeToExpiry)) * DAYS_PER_YEAR;
+  const days = (daysForward || defaultDaysForward(daysToExpiry)).map((day) => Math.min(day, daysToExpiry));
+  const levels = spotLevels(spot, spotRangePercent, spotSteps);
+
+  const grid = [];
+  ivShifts.forEach((ivShift) => {
+    days.forEach((day) => {
+      grid.push({
+        ivShift,
+        daysForward: day,
+        pnl: levels.map((level) => positionPnl(positions, level, ivShift, day / DAYS_PER_YEAR, rate))
+      });
+    });
+  });
+
+  const values = grid.flatMap((row) => row.pnl);
+
+  return {
+    spot,
+    lotSize,
+    daysToExpiry,
+    legs: positions.map(describePosition),
+    spotLevels: levels,
+    ivShifts,
+    daysForward: days,
+    grid,
+    range: { min: Math.min(...values), max: Math.max(...values) },
+    thetaSchedule: thetaSchedule(positions, spot, rate, now)
+  };
+}
+
+module.exports = {
+  LIMITS,
+  buildScenario
+};
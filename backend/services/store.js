@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Small embedded document store: each collection is an in-memory Map
+// persisted to DATA_DIR/<name>.json. Writes are batched and the file is
+// replaced atomically so a crash never leaves half-written JSON behind.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+const WRITE_DELAY = 200;
+
+const collections = new Map();
+
+function createCollection(name) {
+  if (collections.has(name)) return collections.get(name);
+
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const documents = new Map();
+  let writeTimer = null;
+
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach((doc) => documents.set(doc.id, doc));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Error loading ${name} store:`, error.message);
+  }
+
+  function flush() {
+    writeTimer = null;
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify([...documents.values()]));
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (error) {
+      console.error(`Error saving ${name} store:`, error.message);
+    }
+  }
+
+  function scheduleWrite() {
+    if (!writeTimer) writeTimer = setTimeout(flush, WRITE_DELAY);
+  }
+
+  const collection = {
+    get(id) {
+      return documents.get(id) || null;
+    },
+
+    find(predicate = () => true) {
+      return [...documents.values()].filter(predicate);
+    },
+
+    findOne(predicate) {
+      for (const doc of documents.values()) {
+        if (predicate(doc)) return doc;
+      }
+      return null;
+    },
+
+    insert(doc) {
+      const stored = { id: crypto.randomUUID(), ...doc };
+      documents.set(stored.id, stored);
+      scheduleWrite();
+      return stored;
+    },
+
+    update(id, changes) {
+      const doc = documents.get(id);
+      if (!doc) return null;
+
+      const updated = { ...doc, ...changes, id };
+      documents.set(id, updated);
+      scheduleWrite();
+      return updated;
+    },
+
+    remove(id) {
+      const removed = documents.delete(id);
+      if (removed) scheduleWrite();
+      return removed;
+    },
+
+    // Remove every document matching predicate, returning how many went
+    removeWhere(predicate) {
+      let count = 0;
+      documents.forEach((doc, id) => {
+        if (predicate(doc)) {
+          documents.delete(id);
+          count++;
+        }
+      });
+      if (count) scheduleWrite();
+      return count;
+    },
+
+    flush
+  };
+
+  collections.set(name, collection);
+  return collection;
+}
+
+module.exports = {
+  DATA_DIR,
+  createCollection
+};
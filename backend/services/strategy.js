@@ -0,0 +1,339 @@
+const {
+  DEFAULT_RISK_FREE_RATE,
+  normCdf,
+  yearsToExpiry,
+  blackScholes,
+  impliedVolatility
+} = require('./greeks');
+const { EXPIRY_DATE_PATTERN, fetchNearestExpiry, fetchOptionChain } = require('./optionChain');
+
+// Multi-leg option strategy analysis.
+//
+// Legs are { action: buy|sell, optionType: CE|PE, strike, expiryDate, lots,
+// premium }. A leg without a premium is priced from the live chain's LTP.
+// Positions are evaluated at the first expiry ("atExpiry", later-dated legs
+// still carry time value) and now ("today"), both with Black-Scholes using
+// each leg's implied volatility.
+
+const CURVE_POINTS = 200;
+const DEFAULT_RANGE_PERCENT = 10;
+// Move used to size capital at risk when the loss is unbounded
+const STRESS_MOVE_PERCENT = 15;
+const MAX_LEGS = 12;
+
+const OPTION_TYPES = { CE: 'call', CALL: 'call', PE: 'put', PUT: 'put' };
+
+const PRESETS = {
+  long_straddle: 'Buy ATM call and put',
+  short_straddle: 'Sell ATM call and put',
+  long_strangle: 'Buy OTM call and put, width strikes from ATM',
+  short_strangle: 'Sell OTM call and put, width strikes from ATM',
+  iron_condor: 'Sell OTM strangle width strikes out, buy wings width strikes further',
+  bull_call_spread: 'Buy ATM call, sell call width strikes higher',
+  bear_put_spread: 'Buy ATM put, sell put width strikes lower',
+  bull_put_spread: 'Sell ATM put, buy put width strikes lower',
+  bear_call_spread: 'Sell ATM call, buy call width strikes higher'
+};
+
+// Validate request legs. Returns { legs } or { error }.
+function normalizeLegs(rawLegs) {
+  if (!Array.isArray(rawLegs) || rawLegs.length === 0) {
+    return { error: 'legs must be a non-empty array' };
+  }
+  if (rawLegs.length > MAX_LEGS) {
+    return { error: `At most ${MAX_LEGS} legs are supported` };
+  }
+
+  const legs = [];
+  for (const [index, raw] of rawLegs.entries()) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: `legs[${index}] must be an object` };
+
+    const action = String(raw.action || '').toLowerCase();
+    const type = OPTION_TYPES[String(raw.optionType || '').toUpperCase()];
+    const strike = parseFloat(raw.strike);
+    const lots = raw.lots === undefined ? 1 : parseInt(raw.lots, 10);
+    const premium = raw.premium === undefined || raw.premium === null || raw.useLive
+      ? null
+      : parseFloat(raw.premium);
+    const iv = raw.iv === undefined || raw.iv === null ? null : parseFloat(raw.iv) / 100;
+
+    if (action !== 'buy' && action !== 'sell') return { error: `legs[${index}].action must be buy or sell` };
+    if (!type) return { error: `legs[${index}].optionType must be CE or PE` };
+    if (!(strike > 0)) return { error: `legs[${index}].strike must be a positive number` };
+    if (!(lots > 0)) return { error: `legs[${index}].lots must be a positive integer` };
+    if (premium !== null && !(premium >= 0)) return { error: `legs[${index}].premium must be a non-negative number` };
+    if (iv !== null && !(iv > 0)) return { error: `legs[${index}].iv must be a positive percentage` };
+    if (raw.expiryDate && !EXPIRY_DATE_PATTERN.test(raw.expiryDate)) {
+      return { error: `legs[${index}].expiryDate must be in YYYY-MM-DD format` };
+    }
+
+    legs.push({ action, type, strike, lots, premium, iv, expiryDate: raw.expiryDate || null });
+  }
+
+  return { legs };
+}
+
+// Fill in expiries, live premiums, spot and implied volatility for each leg.
+// Chains are only fetched when something has to come from the market.
+// Returns { legs, spot } or { error, status }.
+async function priceLegs(underlying, legs, { expiryDate, spotPrice, now = Date.now() } = {}) {
+  const needsChain = !(spotPrice > 0) || legs.some((leg) => leg.premium === null || !leg.expiryDate);
+  const chains = new Map();
+
+  const chainFor = async (expiry) => {
+    if (!chains.has(expiry)) chains.set(expiry, await fetchOptionChain(underlying.key, expiry));
+    return chains.get(expiry);
+  };
+
+  let defaultExpiry = expiryDate || null;
+  if (!defaultExpiry && legs.some((leg) => !leg.expiryDate)) {
+    defaultExpiry = await fetchNearestExpiry(underlying.key);
+    if (!defaultExpiry) return { error: `No active expiries for ${underlying.name}`, status: 404 };
+  }
+
+  const resolved = legs.map((leg) => ({ ...leg, expiryDate: leg.expiryDate || defaultExpiry }));
+
+  let spot = spotPrice > 0 ? spotPrice : null;
+  if (needsChain) {
+    for (const leg of resolved) {
+      const { underlyingPrice, optionChain } = await chainFor(leg.expiryDate);
+      if (!spot) spot = underlyingPrice;
+
+      const row = optionChain.find((entry) => entry.strike === leg.strike);
+      const quote = row && row[leg.type];
+
+      if (leg.premium === null) {
+        if (!quote || !(quote.ltp > 0)) {
+          return {
+            error: `No live price for ${underlying.name} ${leg.strike} ${leg.type === 'call' ? 'CE' : 'PE'} ${leg.expiryDate}`,
+            status: 400
+          };
+        }
+        leg.premium = quote.ltp;
+        leg.premiumSource = 'live';
+      }
+      leg.chainIv = quote ? quote.iv : null;
+    }
+  }
+
+  if (!(spot > 0)) return { error: `No underlying price for ${underlying.name}`, status: 503 };
+
+  for (const leg of resolved) {
+    const { chainIv } = leg;
+    delete leg.chainIv;
+    leg.premiumSource = leg.premiumSource || 'input';
+    if (leg.iv) continue;
+
+    leg.iv = impliedVolatility({
+      type: leg.type,
+      price: leg.premium,
+      spot,
+      strike: leg.strike,
+      timeToExpiry: yearsToExpiry(leg.expiryDate, now)
+    }) || chainIv || null;
+
+    if (!leg.iv) {
+      return { error: `Cannot derive implied volatility for the ${leg.strike} ${leg.type === 'call' ? 'CE' : 'PE'} leg; pass iv`, status: 400 };
+    }
+  }
+
+  return { legs: resolved, spot };
+}
+
+// Value of one leg's position (premium paid or received included)
+// at a given underlying price and time
+function legPnl(leg, price, timeToExpiry, rate) {
+  const value = timeToExpiry > 0
+    ? blackScholes({ type: leg.type, spot: price, strike: leg.strike, timeToExpiry, volatility: leg.iv, rate }).price
+    : (leg.type === 'call' ? Math.max(price - leg.strike, 0) : Math.max(leg.strike - price, 0));
+
+  return (value - leg.premium) * leg.quantity;
+}
+
+function buildPriceGrid(spot, legs, rangePercent) {
+  const strikes = legs.map((leg) => leg.strike);
+  const low = Math.max(Math.min(spot * (1 - rangePercent / 100), Math.min(...strikes) * 0.97), 0);
+  const high = Math.max(spot * (1 + rangePercent / 100), Math.max(...strikes) * 1.03);
+  const step = (high - low) / CURVE_POINTS;
+
+  const prices = new Set(strikes);
+  for (let i = 0; i <= CURVE_POINTS; i++) prices.add(Math.round(low + step * i));
+  prices.add(Math.round(spot));
+
+  return [...prices].sort((a, b) => a - b);
+}
+
+// Linear interpolation of zero crossings along a curve
+function findBreakevens(curve) {
+  const breakevens = [];
+  for (let i = 1; i < curve.length; i++) {
+    const prev = curve[i - 1];
+    const next = curve[i];
+    if (prev.pnl === 0 && (i === 1 || curve[i - 2].pnl !== 0)) breakevens.push(prev.price);
+    if ((prev.pnl < 0 && next.pnl > 0) || (prev.pnl > 0 && next.pnl < 0)) {
+      breakevens.push(prev.price + ((next.price - prev.price) * -prev.pnl) / (next.pnl - prev.pnl));
+    }
+  }
+  return breakevens;
+}
+
+// Probability that the payoff at expiry is positive, with the underlying
+// lognormal at the mean leg volatility under the risk-neutral drift
+function probabilityOfProfit(curve, spot, volatility, timeToExpiry, rate) {
+  if (!(volatility > 0) || !(timeToExpiry > 0)) return null;
+
+  const sigmaT = volatility * Math.sqrt(timeToExpiry);
+  const drift = (rate - (volatility * volatility) / 2) * timeToExpiry;
+  const cdf = (price) => (price <= 0 ? 0 : normCdf((Math.log(price / spot) - drift) / sigmaT));
+
+  let probability = 0;
+  for (let i = 0; i < curve.length; i++) {
+    if (curve[i].pnl <= 0) continue;
+    // Each point owns the interval halfway to its neighbours; the ends extend to 0 and infinity
+    const lower = i === 0 ? 0 : (curve[i - 1].price + curve[i].price) / 2;
+    const upper = i === curve.length - 1 ? Infinity : (curve[i].price + curve[i + 1].price) / 2;
+    probability += (upper === Infinity ? 1 : cdf(upper)) - cdf(lower);
+  }
+  return probability;
+}
+
+// Priced legs with signed quantity (lots * lotSize) and years to expiry
+function toPositions(legs, lotSize, now = Date.now()) {
+  return legs.map((leg) => ({
+    ...leg,
+    quantity: (leg.action === 'buy' ? 1 : -1) * leg.lots * lotSize,
+    timeToExpiry: yearsToExpiry(leg.expiryDate, now)
+  }));
+}
+
+// Response shape of a position, with IV in percent
+function describePosition(leg) {
+  return {
+    action: leg.action,
+    optionType: leg.type === 'call' ? 'CE' : 'PE',
+    strike: leg.strike,
+    expiryDate: leg.expiryDate,
+    lots: leg.lots,
+    quantity: leg.quantity,
+    premium: leg.premium,
+    premiumSource: leg.premiumSource,
+    iv: leg.iv * 100
+  };
+}
+
+// Analyse priced legs. lotSize turns lots into quantity.
+function analyzeStrategy({ legs, spot, lotSize, rate = DEFAULT_RISK_FREE_RATE, rangePercent = DEFAULT_RANGE_PERCENT, now = Date.now() }) {
+  const positions = toPositions(legs, lotSize, now);
+
+  const firstExpiry = positions.reduce((first, leg) => (leg.expiryDate < first ? leg.expiryDate : first), positions[0].expiryDate);
+  const horizon = yearsToExpiry(firstExpiry, now);
+
+  const grid = buildPriceGrid(spot, positions, rangePercent);
+  const atExpiry = [];
+  const today = [];
+  grid.forEach((price) => {
+    let expiryPnl = 0;
+    let todayPnl = 0;
+    positions.forEach((leg) => {
+      const remaining = leg.expiryDate === firstExpiry ? 0 : leg.timeToExpiry - horizon;
+      expiryPnl += legPnl(leg, price, remaining, rate);
+      todayPnl += legPnl(leg, price, leg.timeToExpiry, rate);
+    });
+    atExpiry.push({ price, pnl: expiryPnl });
+    today.push({ price, pnl: todayPnl });
+  });
+
+  // Beyond the highest strike the payoff keeps moving by the net call quantity
+  const netCallQuantity = positions
+    .filter((leg) => leg.type === 'call')
+    .reduce((sum, leg) => sum + leg.quantity, 0);
+  const pnls = atExpiry.map((point) => point.pnl);
+  const zeroPnl = positions.reduce((sum, leg) => sum + legPnl(leg, 0, 0, rate), 0);
+  const singleExpiry = positions.every((leg) => leg.expiryDate === firstExpiry);
+
+  const maxProfit = netCallQuantity > 0 ? null : Math.max(...pnls, singleExpiry ? zeroPnl : -Infinity);
+  const maxLoss = netCallQuantity < 0 ? null : Math.min(...pnls, singleExpiry ? zeroPnl : Infinity);
+
+  const greeks = positions.reduce((totals, leg) => {
+    const result = blackScholes({
+      type: leg.type, spot, strike: leg.strike, timeToExpiry: leg.timeToExpiry, volatility: leg.iv, rate
+    });
+    ['delta', 'gamma', 'theta', 'vega', 'rho'].forEach((key) => { totals[key] += result[key] * leg.quantity; });
+    return totals;
+  }, { delta: 0, gamma: 0, theta: 0, vega: 0, rho: 0 });
+
+  // Positive for a net credit
+  const netPremium = positions.reduce((sum, leg) => sum - leg.premium * leg.quantity, 0);
+
+  let capitalAtRisk;
+  if (maxLoss !== null) {
+    capitalAtRisk = { amount: Math.max(-maxLoss, 0), basis: 'maxLoss' };
+  } else {
+    const stressLoss = [1 - STRESS_MOVE_PERCENT / 100, 1 + STRESS_MOVE_PERCENT / 100]
+      .map((factor) => positions.reduce((sum, leg) => {
+        const remaining = leg.expiryDate === firstExpiry ? 0 : leg.timeToExpiry - horizon;
+        return sum + legPnl(leg, spot * factor, remaining, rate);
+      }, 0));
+    capitalAtRisk = { amount: Math.max(-Math.min(...stressLoss), 0), basis: `stress${STRESS_MOVE_PERCENT}Percent` };
+  }
+
+  const meanIv = positions.reduce((sum, leg) => sum + leg.iv, 0) / positions.length;
+
+  return {
+    spot,
+    lotSize,
+    firstExpiry,
+    legs: positions.map(describePosition),
+    netPremium,
+    maxProfit,
+    maxLoss,
+    breakevens: findBreakevens(atExpiry),
+    probabilityOfProfit: probabilityOfProfit(atExpiry, spot, meanIv, horizon, rate),
+    capitalAtRisk,
+    greeks,
+    payoff: { atExpiry, today }
+  };
+}
+
+// Legs for a named preset around the ATM strike of a live chain.
+// width counts listed strikes. Returns { legs } or { error }.
+function buildPreset(name, { optionChain, underlyingPrice, expiryDate, width = 2, lots = 1 }) {
+  if (!PRESETS[name]) return { error: `Unknown preset: ${name}` };
+
+  const strikes = optionChain.map((row) => row.strike).sort((a, b) => a - b);
+  if (strikes.length === 0) return { error: 'Option chain is empty' };
+
+  const atmIndex = strikes.reduce((best, strike, index) => (
+    Math.abs(strike - underlyingPrice) < Math.abs(strikes[best] - underlyingPrice) ? index : best
+  ), 0);
+  const strikeAt = (offset) => strikes[Math.min(Math.max(atmIndex + offset, 0), strikes.length - 1)];
+  const leg = (action, optionType, offset) => ({ action, optionType, strike: strikeAt(offset), expiryDate, lots });
+
+  const legsByPreset = {
+    long_straddle: () => [leg('buy', 'CE', 0), leg('buy', 'PE', 0)],
+    short_straddle: () => [leg('sell', 'CE', 0), leg('sell', 'PE', 0)],
+    long_strangle: () => [leg('buy', 'CE', width), leg('buy', 'PE', -width)],
+    short_strangle: () => [leg('sell', 'CE', width), leg('sell', 'PE', -width)],
+    iron_condor: () => [
+      leg('sell', 'CE', width), leg('buy', 'CE', 2 * width),
+      leg('sell', 'PE', -width), leg('buy', 'PE', -2 * width)
+    ],
+    bull_call_spread: () => [leg('buy', 'CE', 0), leg('sell', 'CE', width)],
+    bear_put_spread: () => [leg('buy', 'PE', 0), leg('sell', 'PE', -width)],
+    bull_put_spread: () => [leg('sell', 'PE', 0), leg('buy', 'PE', -width)],
+    bear_call_spread: () => [leg('sell', 'CE', 0), leg('buy', 'CE', width)]
+  };
+
+  return { legs: legsByPreset[name]() };
+}
+
+module.exports = {
+  PRESETS,
+  normalizeLegs,
+  priceLegs,
+  toPositions,
+  legPnl,
+  describePosition,
+  analyzeStrategy,
+  buildPreset
+};
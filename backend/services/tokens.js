@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createCollection } = require('./store');
+
+// Session tokens: short-lived JWT access tokens plus long-lived opaque
+// refresh tokens. Refresh tokens are stored hashed and rotated on use.
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+const refreshTokens = createCollection('refreshTokens');
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET not set, using a random secret; sessions end on restart');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ email: user.email }, jwtSecret, { subject: user.id, expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Decoded payload for a valid access token, otherwise null
+function verifyAccessToken(token) {
+  try {
+    return jwt.verify(token, jwtSecret);
+  } catch (error) {
+    return null;
+  }
+}
+
+function issueRefreshToken(userId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  refreshTokens.insert({
+    userId,
+    tokenHash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS
+  });
+  return token;
+}
+
+// Access and refresh token pair for a freshly authenticated user
+function issueSession(user) {
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: issueRefreshToken(user.id),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
+// Consume a refresh token, returning its user id when it was valid
+function consumeRefreshToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const tokenHash = hashToken(token);
+  const stored = refreshTokens.findOne((entry) => entry.tokenHash === tokenHash);
+  if (!stored) return null;
+
+  refreshTokens.remove(stored.id);
+  return stored.expiresAt > Date.now() ? stored.userId : null;
+}
+
+// Revoke one of a user's refresh tokens. Returns false when the token is
+// unknown or belongs to someone else.
+function revokeRefreshToken(token, userId) {
+  if (typeof token !== 'string') return false;
+
+  const tokenHash = hashToken(token);
+  const stored = refreshTokens.findOne((entry) => entry.tokenHash === tokenHash);
+  if (!stored || stored.userId !== userId) return false;
+
+  refreshTokens.remove(stored.id);
+  return true;
+}
+
+function revokeAllRefreshTokens(userId) {
+  return refreshTokens.removeWhere((entry) => entry.userId === userId);
+}
+
+// Drop expired refresh tokens so the store stays bounded
+setInterval(() => {
+  refreshTokens.removeWhere((entry) => entry.expiresAt <= Date.now());
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+  issueSession,
+  verifyAccessToken,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+};
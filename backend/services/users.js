@@ -0,0 +1,94 @@
+const bcrypt = require('bcryptjs');
+const { createCollection } = require('./store');
+
+// User accounts. Passwords are stored as bcrypt hashes and each user keeps
+// a short login history (time, IP, user agent).
+
+const users = createCollection('users');
+
+const BCRYPT_ROUNDS = 10;
+const LOGIN_HISTORY_LIMIT = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// The user as returned by the API, without secrets
+function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+function getUser(id) {
+  return users.get(id);
+}
+
+function findUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  return users.findOne((user) => user.email === normalized);
+}
+
+// Returns { user } or { error, status }
+async function createUser({ email, password, name, phone }) {
+  const normalized = normalizeEmail(email);
+
+  if (!EMAIL_PATTERN.test(normalized)) return { error: 'A valid email is required', status: 400 };
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, status: 400 };
+  }
+  if (typeof name !== 'string' || !name.trim()) return { error: 'Name is required', status: 400 };
+
+  const taken = { error: 'An account with this email already exists', status: 409 };
+  if (findUserByEmail(normalized)) return taken;
+
+  // Check again after hashing: a concurrent signup may have taken the
+  // email while this one was waiting
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  if (findUserByEmail(normalized)) return taken;
+
+  const user = users.insert({
+    email: normalized,
+    name: name.trim(),
+    phone: phone || null,
+    passwordHash,
+    plan: 'free',
+    loginHistory: [],
+    createdAt: new Date().toISOString()
+  });
+
+  return { user };
+}
+
+// The user when email and password match, otherwise null
+async function verifyCredentials(email, password) {
+  const user = findUserByEmail(email);
+  if (!user || typeof password !== 'string') return null;
+
+  return (await bcrypt.compare(password, user.passwordHash)) ? user : null;
+}
+
+function recordLogin(userId, { ip, userAgent }) {
+  const user = users.get(userId);
+  if (!user) return null;
+
+  const loginHistory = [{ at: new Date().toISOString(), ip, userAgent }, ...user.loginHistory]
+    .slice(0, LOGIN_HISTORY_LIMIT);
+
+  return users.update(userId, { loginHistory, lastLoginAt: loginHistory[0].at });
+}
+
+function updateUser(userId, changes) {
+  return users.update(userId, changes);
+}
+
+module.exports = {
+  toPublicUser,
+  getUser,
+  findUserByEmail,
+  createUser,
+  verifyCredentials,
+  recordLogin,
+  updateUser
+};
@@ -0,0 +1,148 @@
+const { createCollection } = require('./store');
+const { holdingsEvents, parseHolding, holdingKey, holdingChannels, priceHoldings } = require('./holdings');
+
+// Per-user named watchlists of instruments and option contracts (see
+// holdings.js for the item shapes).
+
+const watchlists = createCollection('watchlists');
+
+const MAX_WATCHLISTS = 10;
+const MAX_ITEMS = 50;
+const MAX_NAME_LENGTH = 50;
+
+function validName(name) {
+  return typeof name === 'string' && name.trim().length > 0 && name.trim().length <= MAX_NAME_LENGTH;
+}
+
+// Validate a list of raw items, dropping duplicates. Returns { items } or { error }.
+async function parseItems(rawItems = []) {
+  if (!Array.isArray(rawItems)) return { error: 'items must be an array' };
+
+  const items = new Map();
+  for (const [index, raw] of rawItems.entries()) {
+    const { holding, error } = await parseHolding(raw);
+    if (error) return { error: `items[${index}]: ${error}` };
+    items.set(holdingKey(holding), holding);
+  }
+  if (items.size > MAX_ITEMS) return { error: `A watchlist holds at most ${MAX_ITEMS} items` };
+
+  return { items: [...items.values()] };
+}
+
+function listWatchlists(userId) {
+  return watchlists
+    .find((watchlist) => watchlist.userId === userId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function getWatchlist(userId, id) {
+  const watchlist = watchlists.get(id);
+  return watchlist && watchlist.userId === userId ? watchlist : null;
+}
+
+// Returns { watchlist } or { error, status }
+async function createWatchlist(userId, { name, items } = {}) {
+  if (!validName(name)) return { error: `name is required (at most ${MAX_NAME_LENGTH} characters)`, status: 400 };
+  if (listWatchlists(userId).length >= MAX_WATCHLISTS) {
+    return { error: `At most ${MAX_WATCHLISTS} watchlists are allowed`, status: 409 };
+  }
+
+  const parsed = await parseItems(items);
+  if (parsed.error) return { error: parsed.error, status: 400 };
+
+  const now = new Date().toISOString();
+  const watchlist = watchlists.insert({ userId, name: name.trim(), items: parsed.items, createdAt: now, updatedAt: now });
+  holdingsEvents.emit('changed', userId);
+  return { watchlist };
+}
+
+// Rename and/or replace the items. Returns { watchlist } or { error, status }.
+async function updateWatchlist(userId, id, { name, items } = {}) {
+  const watchlist = getWatchlist(userId, id);
+  if (!watchlist) return { error: 'Watchlist not found', status: 404 };
+
+  const changes = {};
+  if (name !== undefined) {
+    if (!validName(name)) return { error: `name must be 1-${MAX_NAME_LENGTH} characters`, status: 400 };
+    changes.name = name.trim();
+  }
+  if (items !== undefined) {
+    const parsed = await parseItems(items);
+    if (parsed.error) return { error: parsed.error, status: 400 };
+    changes.items = parsed.items;
+  }
+
+  return saveChanges(userId, id, changes);
+}
+
+// Store changes as they are, without validating the items again
+function saveChanges(userId, id, changes) {
+  const updated = watchlists.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  holdingsEvents.emit('changed', userId);
+  return { watchlist: updated };
+}
+
+// Append one item. Returns { watchlist } or { error, status }.
+async function addItem(userId, id, raw) {
+  const watchlist = getWatchlist(userId, id);
+  if (!watchlist) return { error: 'Watchlist not found', status: 404 };
+
+  const { holding, error } = await parseHolding(raw);
+  if (error) return { error, status: 400 };
+  if (watchlist.items.some((item) => holdingKey(item) === holdingKey(holding))) {
+    return { error: 'Already in this watchlist', status: 409 };
+  }
+  if (watchlist.items.length >= MAX_ITEMS) return { error: `A watchlist holds at most ${MAX_ITEMS} items`, status: 409 };
+
+  return saveChanges(userId, id, { items: [...watchlist.items, holding] });
+}
+
+// Remove an item by its key (see holdingKey). Returns { watchlist } or { error, status }.
+function removeItem(userId, id, key) {
+  const watchlist = getWatchlist(userId, id);
+  if (!watchlist) return { error: 'Watchlist not found', status: 404 };
+
+  const items = watchlist.items.filter((item) => holdingKey(item) !== key);
+  if (items.length === watchlist.items.length) return { error: 'Item not found', status: 404 };
+
+  return saveChanges(userId, id, { items });
+}
+
+function deleteWatchlist(userId, id) {
+  if (!getWatchlist(userId, id)) return false;
+
+  watchlists.remove(id);
+  holdingsEvents.emit('changed', userId);
+  return true;
+}
+
+// A watchlist with each item's key and live price
+async function quoteWatchlist(watchlist, now = Date.now()) {
+  const prices = await priceHoldings(watchlist.items, now);
+  return {
+    ...watchlist,
+    items: watchlist.items.map((item) => ({
+      ...item,
+      key: holdingKey(item),
+      price: prices.get(holdingKey(item)) || null
+    })),
+    timestamp: new Date(now).toISOString()
+  };
+}
+
+// Channels for everything in a user's watchlists
+function watchlistChannels(userId) {
+  return holdingChannels(listWatchlists(userId).flatMap((watchlist) => watchlist.items));
+}
+
+module.exports = {
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  addItem,
+  removeItem,
+  deleteWatchlist,
+  quoteWatchlist,
+  watchlistChannels
+};
@@ -0,0 +1,105 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { connectRedis, cachedEntry, cacheStatus } = require('../services/cache');
+
+// A port nothing listens on, standing in for a Redis that is down
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+let redis = null;
+
+after(async () => {
+  if (redis) await redis.disconnect().catch(() => {});
+});
+
+test('falls back to memory when Redis is unreachable', async () => {
+  process.env.REDIS_URL = `redis://127.0.0.1:${await closedPort()}`;
+  redis = connectRedis();
+  await delay(100);
+
+  let calls = 0;
+  const fetcher = async () => {
+    calls += 1;
+    return ['2026-10-27', '2026-11-03'];
+  };
+
+  const first = await cachedEntry('expiries', 'nifty', fetcher);
+  const second = await cachedEntry('expiries', 'nifty', fetcher);
+  assert.deepEqual(first.value, ['2026-10-27', '2026-11-03']);
+  assert.deepEqual(second.value, first.value);
+  assert.equal(second.stale, false);
+  assert.equal(calls, 1);
+
+  const status = cacheStatus();
+  assert.equal(status.backend, 'memory');
+  assert.deepEqual(status.redis, { configured: true, connected: false });
+  assert.ok(status.memoryEntries >= 1);
+});
+
+test('concurrent misses share one upstream call', async () => {
+  let calls = 0;
+  const fetcher = async () => {
+    calls += 1;
+    await delay(50);
+    return { underlyingPrice: 25000, optionChain: [] };
+  };
+
+  const entries = await Promise.all(Array.from({ length: 5 }, () => cachedEntry('chain', 'nifty:2026-10-27', fetcher)));
+  assert.equal(calls, 1);
+  entries.forEach((entry) => assert.deepEqual(entry.value, { underlyingPrice: 25000, optionChain: [] }));
+});
+
+test('a failed fetch is shared by its waiters and not cached', async () => {
+  let calls = 0;
+  const failing = async () => {
+    calls += 1;
+    await delay(20);
+    throw new Error('Dhan API unreachable');
+  };
+
+  const results = await Promise.allSettled([
+    cachedEntry('chain', 'banknifty:2026-10-28', failing),
+    cachedEntry('chain', 'banknifty:2026-10-28', failing)
+  ]);
+  assert.deepEqual(results.map((result) => result.status), ['rejected', 'rejected']);
+  assert.equal(calls, 1);
+
+  const { value } = await cachedEntry('chain', 'banknifty:2026-10-28', async () => 'recovered');
+  assert.equal(value, 'recovered');
+});
+
+test('expired values are served while refreshing, and marked stale once the refresh fails', async () => {
+  await cachedEntry('ltp', 'sensex', async () => 81000);
+  await delay(1100);
+
+  let refreshes = 0;
+  const failing = async () => {
+    refreshes += 1;
+    throw new Error('Dhan API unreachable');
+  };
+
+  const expired = await cachedEntry('ltp', 'sensex', failing);
+  assert.equal(expired.value, 81000);
+  assert.equal(expired.stale, false);
+  await delay(10);
+
+  const stale = await cachedEntry('ltp', 'sensex', failing);
+  assert.equal(stale.value, 81000);
+  assert.equal(stale.stale, true);
+  await delay(10);
+  assert.equal(refreshes, 2);
+});
+
+test('unknown data types are refused', async () => {
+  await assert.rejects(cachedEntry('bogus', 'nifty', async () => 1), /Unknown cache type: bogus/);
+});
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+// Dhan live feed packets. fixtures/dhan-feed-frames.jsonl holds binary
+// WebSocket messages (base64, one per line) laid out as Dhan's v2 feed
+// sends them, including messages with several packets and one with a
+// packet type we do not know.
+
+process.env.DHAN_ACCESS_TOKEN = 'test-token';
+process.env.DHAN_CLIENT_ID = '1000000001';
+
+const { parsePacket, parseMessage, subscriptionRequests, createDhanFeed } = require('../services/dhanFeed');
+
+const frames = fs.readFileSync(path.join(__dirname, 'fixtures', 'dhan-feed-frames.jsonl'), 'utf8')
+  .trim()
+  .split('\n')
+  .map((line) => Buffer.from(JSON.parse(line).frame, 'base64'));
+
+const TRADE_TIME = '2026-10-19T04:45:00.000Z';
+
+test('index, previous close and ticker packets', () => {
+  assert.deepEqual(parseMessage(frames[0]), [
+    { type: 'prevClose', segment: 'IDX_I', securityId: '13', prevClose: 25590.35, previousOi: 0 }
+  ]);
+  assert.deepEqual(parseMessage(frames[1]), [
+    { type: 'ticker', segment: 'IDX_I', securityId: '13', ltp: 25620.5, lastTradeTime: TRADE_TIME }
+  ]);
+});
+
+test('several packets in one message, skipping unknown packet types', () => {
+  const ticks = parseMessage(frames[2]);
+
+  assert.deepEqual(ticks.map((tick) => tick.type), ['quote', 'ticker']);
+  assert.deepEqual(ticks[0], {
+    type: 'quote',
+    segment: 'NSE_EQ',
+    securityId: '2885',
+    ltp: 1212.4,
+    lastTradeQty: 10,
+    lastTradeTime: TRADE_TIME,
+    averagePrice: 1211.4,
+    volume: 12345,
+    totalSellQty: 500,
+    totalBuyQty: 600,
+    open: 1192.4,
+    close: 1200.4,
+    high: 1242.4,
+    low: 1172.4
+  });
+  assert.deepEqual(ticks[1], {
+    type: 'ticker', segment: 'IDX_I', securityId: '51', ltp: 80650.25, lastTradeTime: '2026-10-19T04:45:05.000Z'
+  });
+});
+
+test('full packets with market depth, followed by OI', () => {
+  const [full, oi] = parseMessage(frames[3]);
+
+  assert.equal(full.type, 'full');
+  assert.equal(full.segment, 'NSE_FNO');
+  assert.equal(full.securityId, '43075');
+  assert.equal(full.ltp, 120.5);
+  assert.equal(full.volume, 987650);
+  assert.deepEqual([full.oi, full.highOi, full.lowOi], [5200000, 5300000, 4900000]);
+  assert.deepEqual([full.open, full.close, full.high, full.low], [110, 118.5, 131.25, 96.75]);
+  assert.equal(full.depth.length, 5);
+  assert.deepEqual(full.depth[0], { bidQty: 650, askQty: 325, bidOrders: 3, askOrders: 2, bid: 120.45, ask: 120.55 });
+  assert.deepEqual(full.depth[4], { bidQty: 3250, askQty: 1625, bidOrders: 7, askOrders: 6, bid: 120.25, ask: 120.75 });
+
+  assert.deepEqual(oi, { type: 'oi', segment: 'NSE_FNO', securityId: '43075', oi: 5210000 });
+});
+
+test('market status and disconnect packets', () => {
+  assert.deepEqual(parseMessage(frames[4]), [{ type: 'marketStatus', segment: 'IDX_I', securityId: '0' }]);
+  assert.deepEqual(parseMessage(frames[5]), [{ type: 'disconnect', segment: 'IDX_I', securityId: '0', reason: 807 }]);
+});
+
+test('packets cut short are not parsed', () => {
+  assert.equal(parsePacket(frames[3].subarray(0, 100)), null);
+  assert.deepEqual(parseMessage(frames[2].subarray(0, 40)), []);
+});
+
+test('subscription requests are batched by 100 instruments', () => {
+  const instruments = Array.from({ length: 150 }, (_, i) => ({ segment: 'NSE_EQ', securityId: 1000 + i }));
+  const requests = subscriptionRequests(instruments, 'quote', 'subscribe');
+
+  assert.deepEqual(requests.map((request) => [request.RequestCode, request.InstrumentCount]), [[17, 100], [17, 50]]);
+  assert.deepEqual(requests[1].InstrumentList[0], { ExchangeSegment: 'NSE_EQ', SecurityId: '1100' });
+});
+
+// Replay the frames over a local WebSocket server standing in for Dhan
+
+let server;
+
+before(async () => {
+  server = new WebSocketServer({ host: '127.0.0.1', port: 0 });
+  await new Promise((resolve) => server.once('listening', resolve));
+});
+
+after(() => server.close());
+
+test('a replayed session emits ticks for subscribed instruments and stops on an auth disconnect', async () => {
+  const received = [];
+  const query = [];
+  server.once('connection', (socket, req) => {
+    query.push(new URL(req.url, 'http://localhost').searchParams);
+    socket.on('message', (data) => {
+      received.push(JSON.parse(data));
+      if (received.length === 1) frames.forEach((frame) => socket.send(frame, { binary: true }));
+    });
+  });
+
+  const feed = createDhanFeed({ url: `ws://127.0.0.1:${server.address().port}` });
+  const nifty = { key: 'nifty', segment: 'IDX_I', securityId: 13 };
+  const hdfc = { key: 'hdfcbank', segment: 'NSE_EQ', securityId: 1333 };
+  feed.subscribe([nifty, hdfc], 'quote');
+
+  const ticks = [];
+  feed.on('tick', (tick, instrument) => ticks.push([tick.type, instrument.key]));
+  const disconnected = new Promise((resolve) => feed.once('disconnected', resolve));
+
+  feed.start();
+  await new Promise((resolve) => feed.once('connected', resolve));
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  server.clients.forEach((socket) => socket.close());
+
+  assert.equal(await disconnected, 'Access token expired');
+  assert.equal(query[0].get('token'), 'test-token');
+  assert.equal(query[0].get('clientId'), '1000000001');
+  assert.deepEqual(received[0], {
+    RequestCode: 17,
+    InstrumentCount: 2,
+    InstrumentList: [
+      { ExchangeSegment: 'IDX_I', SecurityId: '13' },
+      { ExchangeSegment: 'NSE_EQ', SecurityId: '1333' }
+    ]
+  });
+  // Only NIFTY is subscribed among the instruments in the frames
+  assert.deepEqual(ticks, [['prevClose', 'nifty'], ['ticker', 'nifty']]);
+  assert.equal(feed.status().waitingForToken, true);
+  assert.equal(feed.status().connected, false);
+
+  feed.stop();
+});
@@ -0,0 +1,132 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Option chains from the Dhan provider, served by a local mock of Dhan's
+// v2 REST API (DHAN_BASE_URL)
+
+const requests = [];
+const responses = {};
+
+const dhan = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+    const { status = 200, payload = {} } = responses[req.url] || { status: 404 };
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  });
+});
+
+let optionChain;
+
+before(async () => {
+  await new Promise((resolve) => dhan.listen(0, '127.0.0.1', resolve));
+  process.env.DHAN_BASE_URL = `http://127.0.0.1:${dhan.address().port}`;
+  process.env.DHAN_ACCESS_TOKEN = 'test-token';
+  process.env.DHAN_CLIENT_ID = '1000000001';
+  process.env.MARKET_DATA_PROVIDER = 'dhan';
+  optionChain = require('../services/optionChain');
+});
+
+after(() => dhan.close());
+
+test('expiries are read from the envelope and sorted', async () => {
+  responses['/v2/optionchain/expirylist'] = {
+    payload: { status: 'success', data: ['2026-11-03', '2026-10-27', '2026-11-10'] }
+  };
+
+  const { expiries, source } = await optionChain.fetchExpiries('nifty');
+  assert.deepEqual(expiries, ['2026-10-27', '2026-11-03', '2026-11-10']);
+  assert.equal(source, 'Dhan API');
+
+  const request = requests.find((entry) => entry.url === '/v2/optionchain/expirylist');
+  assert.deepEqual(request.body, { UnderlyingScrip: 13, UnderlyingSeg: 'IDX_I' });
+  assert.equal(request.headers['access-token'], 'test-token');
+  assert.equal(request.headers['client-id'], '1000000001');
+});
+
+test('option chains are normalised per strike', async () => {
+  responses['/v2/optionchain'] = {
+    payload: {
+      status: 'success',
+      data: {
+        last_price: 25012.35,
+        oc: {
+          '25100.000000': {
+            ce: {
+              last_price: 80.5,
+              previous_close_price: 95,
+              oi: 120000,
+              previous_oi: 100000,
+              volume: 45000,
+              implied_volatility: 12.5,
+              top_bid_price: 80.4,
+              top_bid_quantity: 650,
+              top_ask_price: 80.6,
+              top_ask_quantity: 325
+            }
+          },
+          '24900.000000': {
+            ce: { last_price: 170, oi: 50000, previous_oi: 60000, implied_volatility: 0 },
+            pe: { last_price: 62.1, oi: 90000 }
+          }
+        }
+      }
+    }
+  };
+
+  const emitted = [];
+  optionChain.chainEvents.once('chain', (chain) => emitted.push(chain));
+
+  const chain = await optionChain.fetchOptionChain('nifty', '2026-10-27');
+  const request = requests.find((entry) => entry.url === '/v2/optionchain');
+  assert.deepEqual(request.body, { UnderlyingScrip: 13, UnderlyingSeg: 'IDX_I', Expiry: '2026-10-27' });
+
+  assert.equal(chain.underlyingPrice, 25012.35);
+  assert.equal(chain.stale, false);
+  assert.deepEqual(chain.optionChain.map((row) => row.strike), [24900, 25100]);
+
+  const [low, high] = chain.optionChain;
+  assert.deepEqual(high.call, {
+    ltp: 80.5,
+    prevClose: 95,
+    oi: 120000,
+    oiChange: 20000,
+    volume: 45000,
+    iv: 0.125,
+    bid: 80.4,
+    bidQty: 650,
+    ask: 80.6,
+    askQty: 325
+  });
+  assert.equal(high.put, null);
+  assert.equal(low.call.oiChange, -10000);
+  assert.equal(low.call.iv, null);
+  assert.equal(low.put.oiChange, 90000);
+
+  assert.equal(emitted.length, 1);
+  assert.equal(emitted[0].symbol, 'nifty');
+  assert.equal(emitted[0].expiryDate, '2026-10-27');
+});
+
+test('rejected tokens surface as auth errors', async () => {
+  responses['/v2/optionchain'] = {
+    status: 401,
+    payload: { errorType: 'Invalid_Authentication', errorCode: 'DH-901', errorMessage: 'Access token is invalid' }
+  };
+
+  await assert.rejects(optionChain.fetchOptionChain('nifty', '2026-11-03'), (error) => {
+    assert.equal(error.kind, 'auth');
+    assert.equal(error.status, 401);
+    assert.match(error.message, /Access token is invalid/);
+    return true;
+  });
+});
+
+test('unknown underlyings are refused without calling Dhan', async () => {
+  const before = requests.length;
+  await assert.rejects(optionChain.fetchOptionChain('reliance', '2026-10-27'), /Unknown symbol/);
+  assert.equal(requests.length, before);
+});
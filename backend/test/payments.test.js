@@ -0,0 +1,216 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Razorpay checkout against a local fake of Razorpay's orders and refunds
+// API (RAZORPAY_BASE_URL)
+
+const KEY_SECRET = 'test-key-secret';
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payments-test-'));
+const razorpayRequests = [];
+let nextId = 0;
+
+const razorpay = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const data = JSON.parse(body || '{}');
+    razorpayRequests.push({ url: req.url, headers: req.headers, body: data });
+    res.setHeader('content-type', 'application/json');
+
+    if (req.url === '/v1/orders') {
+      nextId += 1;
+      return res.end(JSON.stringify({ id: `order_${nextId}`, amount: data.amount, currency: data.currency, status: 'created' }));
+    }
+    const refund = /^\/v1\/payments\/([^/]+)\/refund$/.exec(req.url);
+    if (refund) {
+      nextId += 1;
+      return res.end(JSON.stringify({ id: `rfnd_${nextId}`, payment_id: refund[1], amount: data.amount, status: 'processed' }));
+    }
+    res.statusCode = 404;
+    res.end('{}');
+  });
+});
+
+let payments;
+let users;
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+async function signup(email) {
+  const { user } = await users.createUser({ email, password: 'correct horse', name: 'Test User' });
+  return user;
+}
+
+async function checkout(user, plan, paymentId) {
+  const { order } = await payments.createOrder(user, plan);
+  return payments.verifyCheckout(user, {
+    razorpay_order_id: order.orderId,
+    razorpay_payment_id: paymentId,
+    razorpay_signature: sign(KEY_SECRET, `${order.orderId}|${paymentId}`)
+  });
+}
+
+function daysLeft(userId) {
+  return (Date.parse(users.getUser(userId).planExpiresAt) - Date.now()) / DAY_MS;
+}
+
+before(async () => {
+  await new Promise((resolve) => razorpay.listen(0, '127.0.0.1', resolve));
+  process.env.RAZORPAY_BASE_URL = `http://127.0.0.1:${razorpay.address().port}`;
+  process.env.RAZORPAY_KEY_ID = 'rzp_test_key';
+  process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+  process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  process.env.DATA_DIR = dataDir;
+  payments = require('../services/payments');
+  users = require('../services/users');
+});
+
+after(async () => {
+  razorpay.close();
+  // Let the store's batched writes land before removing their directory
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('orders are created with the plan price and the user in the notes', async () => {
+  const user = await signup('orders@example.com');
+  const { order } = await payments.createOrder(user, 'pro');
+
+  assert.equal(order.keyId, 'rzp_test_key');
+  assert.equal(order.amount, 49900);
+  assert.equal(order.plan, 'pro');
+
+  const request = razorpayRequests.at(-1);
+  assert.equal(request.url, '/v1/orders');
+  assert.equal(request.headers.authorization, `Basic ${Buffer.from(`rzp_test_key:${KEY_SECRET}`).toString('base64')}`);
+  assert.deepEqual(request.body.notes, { userId: user.id, plan: 'pro' });
+
+  assert.deepEqual(await payments.createOrder(user, 'free'), { error: 'plan must be pro or pro_plus', status: 400 });
+});
+
+test('checkout signatures are verified before the plan is activated', async () => {
+  const user = await signup('checkout@example.com');
+  const { order } = await payments.createOrder(user, 'pro');
+
+  const forged = payments.verifyCheckout(user, {
+    razorpay_order_id: order.orderId,
+    razorpay_payment_id: 'pay_forged',
+    razorpay_signature: sign('wrong-secret', `${order.orderId}|pay_forged`)
+  });
+  assert.deepEqual(forged, { error: 'Invalid payment signature', status: 400 });
+  assert.equal(users.getUser(user.id).plan, 'free');
+
+  const other = await signup('other@example.com');
+  const stolen = payments.verifyCheckout(other, {
+    razorpay_order_id: order.orderId,
+    razorpay_payment_id: 'pay_1',
+    razorpay_signature: sign(KEY_SECRET, `${order.orderId}|pay_1`)
+  });
+  assert.deepEqual(stolen, { error: 'Unknown order', status: 404 });
+
+  const paid = payments.verifyCheckout(user, {
+    razorpay_order_id: order.orderId,
+    razorpay_payment_id: 'pay_1',
+    razorpay_signature: sign(KEY_SECRET, `${order.orderId}|pay_1`)
+  });
+  assert.equal(paid.payment.status, 'paid');
+  assert.equal(users.getUser(user.id).plan, 'pro');
+  assert.ok(Math.abs(daysLeft(user.id) - 30) < 0.01);
+
+  // Confirming the same payment again changes nothing
+  const expiresAt = users.getUser(user.id).planExpiresAt;
+  payments.verifyCheckout(user, {
+    razorpay_order_id: order.orderId,
+    razorpay_payment_id: 'pay_1',
+    razorpay_signature: sign(KEY_SECRET, `${order.orderId}|pay_1`)
+  });
+  assert.equal(users.getUser(user.id).planExpiresAt, expiresAt);
+});
+
+test('webhook signatures cover the raw body', () => {
+  const body = Buffer.from(JSON.stringify({ event: 'payment.captured' }));
+
+  assert.equal(payments.verifyWebhookSignature(body, sign(WEBHOOK_SECRET, body)), true);
+  assert.equal(payments.verifyWebhookSignature(Buffer.from(`${body} `), sign(WEBHOOK_SECRET, body)), false);
+  assert.equal(payments.verifyWebhookSignature(body, sign(KEY_SECRET, body)), false);
+  assert.equal(payments.verifyWebhookSignature(body, undefined), false);
+});
+
+test('webhooks capture, fail and refund payments', async () => {
+  const user = await signup('webhooks@example.com');
+
+  const { order: captured } = await payments.createOrder(user, 'pro_plus');
+  payments.handleWebhookEvent({
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_captured', order_id: captured.orderId } } }
+  });
+  assert.equal(users.getUser(user.id).plan, 'pro_plus');
+
+  const { order: failed } = await payments.createOrder(user, 'pro_plus');
+  payments.handleWebhookEvent({
+    event: 'payment.failed',
+    payload: { payment: { entity: { id: 'pay_failed', order_id: failed.orderId } } }
+  });
+  assert.equal(payments.listPayments(user.id).find((entry) => entry.orderId === failed.orderId).status, 'failed');
+
+  const { refund } = await payments.requestRefund(user.id);
+  assert.equal(razorpayRequests.at(-1).url, '/v1/payments/pay_captured/refund');
+  assert.equal(refund.amount, 79900);
+  assert.deepEqual(await payments.requestRefund(user.id), {
+    error: 'A refund for this payment is already in progress',
+    status: 409
+  });
+
+  payments.handleWebhookEvent({
+    event: 'refund.processed',
+    payload: { refund: { entity: { id: refund.refundId, payment_id: 'pay_captured' } } }
+  });
+  const refunded = users.getUser(user.id);
+  assert.equal(refunded.plan, 'free');
+  assert.equal(refunded.subscriptionStatus, 'refunded');
+});
+
+test('refunding a renewal keeps the period paid for before it', async () => {
+  const user = await signup('renewal@example.com');
+  await checkout(user, 'pro', 'pay_first');
+  await checkout(user, 'pro', 'pay_renewal');
+  assert.ok(Math.abs(daysLeft(user.id) - 60) < 0.01);
+
+  await payments.requestRefund(user.id);
+  payments.handleWebhookEvent({
+    event: 'refund.processed',
+    payload: { refund: { entity: { payment_id: 'pay_renewal' } } }
+  });
+
+  assert.equal(users.getUser(user.id).plan, 'pro');
+  assert.ok(Math.abs(daysLeft(user.id) - 30) < 0.01);
+});
+
+test('switching plans carries the unused days over at the new price', async () => {
+  const user = await signup('switch@example.com');
+  await checkout(user, 'pro', 'pay_pro');
+  await checkout(user, 'pro_plus', 'pay_pro_plus');
+
+  const carried = 30 * (49900 / 79900);
+  assert.equal(users.getUser(user.id).plan, 'pro_plus');
+  assert.ok(Math.abs(daysLeft(user.id) - (30 + carried)) < 0.01);
+
+  // Refunding both payments takes back the carried-over days too
+  await payments.requestRefund(user.id);
+  payments.handleWebhookEvent({ event: 'refund.processed', payload: { refund: { entity: { payment_id: 'pay_pro_plus' } } } });
+  assert.ok(Math.abs(daysLeft(user.id) - carried) < 0.01);
+
+  await payments.requestRefund(user.id);
+  payments.handleWebhookEvent({ event: 'refund.processed', payload: { refund: { entity: { payment_id: 'pay_pro' } } } });
+  assert.equal(users.getUser(user.id).plan, 'free');
+});
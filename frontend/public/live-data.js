@@ -55,16 +55,26 @@ function initializeElements() {
   });
 }
 
-// Fetch and update live data every 3 seconds
+// Set while the WebSocket is connected; it carries the prices then
+let socketConnected = false;
+
+async function fetchPrice(path) {
+  const res = await fetch(`${BACKEND_URL}${path}`);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+// Fetch and update live data every 3 seconds, unless the WebSocket is live
 async function fetchLiveData() {
+  if (socketConnected) return;
+
   try {
     // Fetch NIFTY data
-    const niftyRes = await fetch(`${BACKEND_URL}/api/nifty`);
-    const niftyData = await niftyRes.json();
+    const niftyData = await fetchPrice('/api/nifty');
     
     // Fetch SENSEX data
-    const sensexRes = await fetch(`${BACKEND_URL}/api/sensex`);
-    const sensexData = await sensexRes.json();
+    const sensexData = await fetchPrice('/api/sensex');
     
     // Update all elements with new prices
     updatePageWithPrices(niftyData, sensexData);
@@ -81,9 +91,9 @@ async function fetchLiveData() {
 // Update all price elements on the page
 function updatePageWithPrices(niftyData, sensexData) {
   const niftyPrice = parseFloat(niftyData.price).toFixed(2);
-  const niftyChange = parseFloat(niftyData.change).toFixed(2);
+  const niftyChange = (niftyData.changePercent || 0).toFixed(2);
   const sensexPrice = parseFloat(sensexData.price).toFixed(2);
-  const sensexChange = parseFloat(sensexData.change).toFixed(2);
+  const sensexChange = (sensexData.changePercent || 0).toFixed(2);
   
   // Color coding
   const niftyColor = niftyChange >= 0 ? '#2db2a4' : '#ff5459';
@@ -111,15 +121,45 @@ function updatePageWithPrices(niftyData, sensexData) {
     }
   });
   
-  // Update MAX PAIN
+  // Update TICKER (if exists)
+  updateTickerDisplay(niftyPrice, niftyChange);
+}
+
+// Update max pain elements and charts from the backend calculation
+const maxPainCharts = {};
+
+function updateMaxPain(data) {
+  if (data.symbol !== 'nifty' || data.maxPainStrike === null) return;
+
   priceElements.maxPain.forEach(el => {
-    const estimatedMaxPain = (niftyPrice - 50).toFixed(2);
-    el.textContent = `₹${estimatedMaxPain}`;
+    el.textContent = `₹${data.maxPainStrike.toFixed(2)}`;
     el.style.color = '#2db2a4';
   });
-  
-  // Update TICKER (if exists)
-  updateTickerDisplay(niftyPrice, niftyChange);
+
+  if (typeof Chart === 'undefined') return;
+
+  ['maxPainChart', 'widgetMaxPainChart'].forEach(id => {
+    const canvas = document.getElementById(id);
+    if (!canvas) return;
+
+    const labels = data.payoutCurve.map(point => point.strike);
+    const values = data.payoutCurve.map(point => point.totalPayout);
+
+    if (maxPainCharts[id]) {
+      maxPainCharts[id].data.labels = labels;
+      maxPainCharts[id].data.datasets[0].data = values;
+      maxPainCharts[id].update();
+    } else {
+      maxPainCharts[id] = new Chart(canvas, {
+        type: 'bar',
+        data: {
+          labels,
+          datasets: [{ label: 'Total Payout', data: values, backgroundColor: '#2db2a4' }]
+        },
+        options: { plugins: { legend: { display: false } } }
+      });
+    }
+  });
 }
 
 // Update ticker display at top of page
@@ -163,17 +203,27 @@ function connectWebSocket() {
       
       socket.on('connect', () => {
         console.log('WebSocket connected for real-time updates');
+        socketConnected = true;
         updateConnectionStatus(true);
       });
       
       socket.on('liveData', (data) => {
-        updatePageWithPrices(
-          { price: data.nifty.price, change: data.nifty.change },
-          { price: data.sensex.price, change: data.sensex.change }
-        );
+        updatePageWithPrices(data.nifty, data.sensex);
+      });
+      
+      socket.on('maxPain', updateMaxPain);
+
+      // Max pain is a Pro feature; say so instead of leaving it blank
+      socket.on('subscriptionDenied', ({ denied }) => {
+        if (!denied.some(entry => entry.channel.startsWith('maxpain:'))) return;
+        priceElements.maxPain.forEach(el => {
+          el.textContent = 'Upgrade to Pro';
+          el.style.color = '#ff5459';
+        });
       });
       
       socket.on('disconnect', () => {
+        socketConnected = false;
         updateConnectionStatus(false);
       });
     };
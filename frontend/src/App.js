@@ -20,12 +20,12 @@ function App() {
         const niftyRes = await fetch(`${BACKEND_URL}/api/nifty`);
         const niftyData = await niftyRes.json();
         setNiftyPrice(niftyData.price);
-        setNiftyChange(niftyData.change);
+        setNiftyChange((niftyData.changePercent || 0).toFixed(2));
 
         const sensexRes = await fetch(`${BACKEND_URL}/api/sensex`);
         const sensexData = await sensexRes.json();
         setSensexPrice(sensexData.price);
-        setSensexChange(sensexData.change);
+        setSensexChange((sensexData.changePercent || 0).toFixed(2));
       } catch (error) {
         console.error('Error fetching initial data:', error);
       }
@@ -47,15 +47,15 @@ function App() {
 
     socket.on('liveData', (data) => {
       setNiftyPrice(data.nifty.price.toFixed(2));
-      setNiftyChange(data.nifty.change.toFixed(2));
+      setNiftyChange((data.nifty.changePercent || 0).toFixed(2));
       setSensexPrice(data.sensex.price.toFixed(2));
-      setSensexChange(data.sensex.change.toFixed(2));
-      
-      // Update Max Pain estimates
-      setMaxPain({
-        nifty: (data.nifty.price - 50).toFixed(2),
-        sensex: (data.sensex.price - 100).toFixed(2)
-      });
+      setSensexChange((data.sensex.changePercent || 0).toFixed(2));
+    });
+
+    // Max pain is computed by the backend from the live option chain
+    socket.on('maxPain', (data) => {
+      if (data.maxPainStrike === null) return;
+      setMaxPain((prev) => ({ ...prev, [data.symbol]: data.maxPainStrike }));
     });
 
     socket.on('disconnect', () => {